@@ -0,0 +1,143 @@
+import {
+  AdaptiveConcurrencyConfig,
+  ConcurrencyChange,
+  ConcurrencyChangeReason,
+  ConcurrencySummary
+} from './types.js';
+
+const HISTORY_LIMIT = 1000;
+
+export interface AttemptOutcome {
+  /** performance.now() when the attempt started */
+  startedAt: number;
+  duration: number;
+  success: boolean;
+  timedOut?: boolean;
+}
+
+/**
+ * AIMD controller for a runner's concurrency limit. Attempts that started
+ * before the last cut cannot cut again, so a burst of failures from work
+ * that was already in flight counts as one signal.
+ */
+export class AdaptiveConcurrency {
+  readonly min: number;
+  readonly max: number;
+  private readonly increase: number;
+  private readonly decrease: number;
+  private readonly maxErrorRate: number;
+  private readonly latencyThreshold: number | undefined;
+  private readonly latencyTolerance: number;
+  private readonly window: number;
+
+  private current: number;
+  private readonly samples: Array<{ duration: number; success: boolean }> = [];
+  private healthyStreak = 0;
+  private lastCutAt = -Infinity;
+  private readonly history: ConcurrencyChange[] = [];
+
+  constructor(
+    initial: number,
+    config: AdaptiveConcurrencyConfig,
+    private readonly onChange?: (change: ConcurrencyChange) => void
+  ) {
+    this.min = config.min ?? 1;
+    this.max = config.max ?? Math.max(100, this.min);
+    this.increase = config.increase ?? 1;
+    this.decrease = config.decrease ?? 0.5;
+    this.maxErrorRate = config.maxErrorRate ?? 0.1;
+    this.latencyThreshold = config.latencyThreshold;
+    this.latencyTolerance = config.latencyTolerance ?? 2;
+    this.window = config.window ?? 20;
+
+    if (!Number.isInteger(this.min) || this.min < 1 || !Number.isInteger(this.max) || this.max < this.min) {
+      throw new Error('adaptiveConcurrency requires whole numbers with 1 <= min <= max');
+    }
+    if (!(this.increase > 0) || !(this.decrease > 0 && this.decrease < 1)) {
+      throw new Error('adaptiveConcurrency requires a positive increase and a decrease between 0 and 1');
+    }
+
+    this.current = Math.min(this.max, Math.max(this.min, initial));
+  }
+
+  get limit(): number {
+    return this.current;
+  }
+
+  record(outcome: AttemptOutcome): void {
+    const trouble = this.troubleIn(outcome);
+
+    this.samples.push({ duration: outcome.duration, success: outcome.success });
+    if (this.samples.length > this.window) {
+      this.samples.shift();
+    }
+
+    if (trouble) {
+      this.healthyStreak = 0;
+      if (outcome.startedAt >= this.lastCutAt) {
+        this.lastCutAt = performance.now();
+        this.setLimit(Math.floor(this.current * this.decrease), trouble);
+      }
+      return;
+    }
+
+    if (outcome.success && ++this.healthyStreak >= this.current) {
+      this.healthyStreak = 0;
+      this.setLimit(Math.floor(this.current + this.increase), 'increase');
+    }
+  }
+
+  /**
+   * How the limit moved from `since` until now.
+   */
+  summarize(since: Date): ConcurrencySummary {
+    const changes = this.history.filter(change => change.timestamp >= since);
+    const initial = changes[0]?.previous ?? this.current;
+    const limits = [initial, ...changes.map(change => change.limit)];
+
+    return {
+      initial,
+      final: this.current,
+      lowest: Math.min(...limits),
+      highest: Math.max(...limits),
+      changes
+    };
+  }
+
+  private troubleIn(outcome: AttemptOutcome): ConcurrencyChangeReason | undefined {
+    if (outcome.timedOut) {
+      return 'timeout';
+    }
+
+    if (!outcome.success) {
+      const failures = this.samples.filter(sample => !sample.success).length + 1;
+      return failures / (this.samples.length + 1) > this.maxErrorRate ? 'error' : undefined;
+    }
+
+    if (this.latencyThreshold !== undefined) {
+      return outcome.duration > this.latencyThreshold ? 'latency' : undefined;
+    }
+
+    const successes = this.samples.filter(sample => sample.success);
+    if (successes.length < Math.min(5, this.window)) {
+      return undefined;
+    }
+    const mean = successes.reduce((sum, sample) => sum + sample.duration, 0) / successes.length;
+    return outcome.duration > mean * this.latencyTolerance ? 'latency' : undefined;
+  }
+
+  private setLimit(limit: number, reason: ConcurrencyChangeReason): void {
+    const next = Math.min(this.max, Math.max(this.min, limit));
+    if (next === this.current) {
+      return;
+    }
+
+    const change: ConcurrencyChange = { timestamp: new Date(), limit: next, previous: this.current, reason };
+    this.current = next;
+    this.history.push(change);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+    this.onChange?.(change);
+  }
+}
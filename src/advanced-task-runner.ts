@@ -6,11 +6,14 @@
  * - Event emitters
  * - Priority queue support
  * - Pause/resume functionality
+ * - Live queue: tasks added while running are picked up by the scheduler
+ * - Feeds: tasks read from (async) iterables as the queue drains
  */
 
 import { EventEmitter } from 'events';
 import { 
   AsyncTask, 
+  TaskInputs,
   TaskResult, 
   TaskMetadata, 
   PriorityTask, 
@@ -18,27 +21,121 @@ import {
   EventHandlers,
   QueueStatus,
   TaskQueue,
-  BatchConfig
+  BatchConfig,
+  StopOptions,
+  TaskQueueEvents,
+  QueueStatistics,
+  BatchPolicy,
+  TransactionConfig,
+  TaskExecutionSummary,
+  TaskInfo,
+  TaskFilter,
+  TaskState,
+  AbortError
 } from './types.js';
-import { TaskRunner } from './task-runner.js';
+import { TaskRunner, SharedLimits } from './task-runner.js';
+import { TokenBucket } from './rate-limiter.js';
+import { CircuitBreaker } from './circuit-breaker.js';
 import { DefaultLogger } from './logger.js';
+import { validateDependencyGraph } from './dependency-graph.js';
+import { generateExecutionSummary } from './summary.js';
+import { PriorityHeap } from './priority-heap.js';
+
+const batchOf = (entry: QueueEntry): string => entry.metadata.batch || 'default';
+
+const matchesFilter = ({ state, tag, batch }: TaskFilter) => (task: TaskInfo): boolean =>
+  (state === undefined || (Array.isArray(state) ? state.includes(task.state) : task.state === state)) &&
+  (tag === undefined || (task.metadata.tags?.includes(tag) ?? false)) &&
+  (batch === undefined || task.metadata.batch === batch);
+
+/** Number of recent task durations behind movingAverageLatency. */
+const LATENCY_WINDOW = 20;
+
+/** Emitter event each EventHandlers callback is subscribed to. */
+const HANDLER_EVENTS: { [K in keyof EventHandlers]-?: keyof TaskQueueEvents } = {
+  onStart: 'taskStart',
+  onRetry: 'taskRetry',
+  onSuccess: 'taskSuccess',
+  onError: 'taskError',
+  onTimeout: 'taskTimeout',
+  onSoftTimeout: 'taskSoftTimeout',
+  onComplete: 'complete',
+  onProgress: 'progress',
+  onConcurrencyChange: 'concurrencyChange',
+  onCircuitStateChange: 'circuitStateChange'
+};
+
+interface QueueEntry {
+  task: AsyncTask;
+  metadata: TaskMetadata;
+  priority: number;
+  index: number;
+  enqueuedAt: number;
+  /** Set by promote(); later promotions go first */
+  promoted?: number;
+  result?: TaskResult;
+  resolve: (result: TaskResult) => void;
+}
+
+/**
+ * A task a dependency graph or transactional batch has taken off the queue
+ * but not dispatched yet. `cancel` settles it within its graph or batch;
+ * `reorder` is there when its place can still change.
+ */
+interface DetachedEntry {
+  entry: QueueEntry;
+  cancel(result: TaskResult): void;
+  reorder?(): void;
+}
+
+export interface AdvancedTaskRunner {
+  on<E extends keyof TaskQueueEvents>(event: E, listener: TaskQueueEvents[E]): this;
+  once<E extends keyof TaskQueueEvents>(event: E, listener: TaskQueueEvents[E]): this;
+  off<E extends keyof TaskQueueEvents>(event: E, listener: TaskQueueEvents[E]): this;
+  emit<E extends keyof TaskQueueEvents>(event: E, ...args: Parameters<TaskQueueEvents[E]>): boolean;
+}
 
 export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
-  protected tasks: Array<{
-    task: AsyncTask;
-    metadata: TaskMetadata;
-    priority: number;
-  }> = [];
+  /** Every task added since the last clear(), in insertion order. */
+  protected tasks: QueueEntry[] = [];
+  /** Tasks not yet handed to the scheduler, popped in dispatch order. */
+  protected queue = new PriorityHeap<QueueEntry>((a, b) => this.compareEntries(a, b));
   
   private running = new Set<number>();
+  /** Tasks handed to a runner that are held back until their key, weight or resources free up */
+  private held = new Map<number, QueueEntry>();
+  private detached = new Map<number, DetachedEntry>();
   private completed: TaskResult[] = [];
   private failed: TaskResult[] = [];
+  private skipped: TaskResult[] = [];
+  private cancelled: TaskResult[] = [];
+  /** Cancelled tasks to report in the results of the current or next run() */
+  private cancelledForRun: TaskResult[] = [];
+  /** Tasks skipped by stop() during the current run(), to report in its results */
+  private stoppedForRun: TaskResult[] = [];
+  private promotions = 0;
+  /** Sources passed to addFrom() that are still being read */
+  private feeds = 0;
+  private settledInRun = 0;
+  private finishedInRun = 0;
+  private recentDurations: number[] = [];
+  private runStartedAt: number | undefined;
+  private runEndedAt: number | undefined;
   
   protected isPaused = false;
   protected isStopped = false;
+  protected isRunning = false;
+  
+  private queueChanged: { promise: Promise<void>; resolve: () => void } | undefined;
+  private emptyWaiters: Array<() => void> = [];
+  private idleWaiters: Array<() => void> = [];
   
   protected options: AdvancedTaskOptions;
   private baseRunner: TaskRunner;
+  private readonly limits: SharedLimits;
+  private readonly logger = new DefaultLogger(false);
+  private batchRunners = new Set<TaskRunner>();
+  private batchSummaries = new Map<number | string, TaskExecutionSummary>();
   
   constructor(options: AdvancedTaskOptions = {}) {
     super();
@@ -57,29 +154,72 @@ export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
       ...options
     };
     
-    const baseOptions: any = {
-      concurrency: this.options.concurrency || 3,
-      retries: this.options.retries || 0,
-      retryDelay: this.options.retryDelay || 1000,
-      exponentialBackoff: this.options.exponentialBackoff || false,
-      maxRetryDelay: this.options.maxRetryDelay || 30000
-    };
+    if (this.options.maxParallelBatches !== undefined && !(this.options.maxParallelBatches >= 1)) {
+      throw new Error('maxParallelBatches must be at least 1');
+    }
     
-    if (this.options.timeout !== undefined) {
-      baseOptions.timeout = this.options.timeout;
+    if (this.options.agingInterval !== undefined && !(this.options.agingInterval > 0)) {
+      throw new Error('agingInterval must be positive');
     }
     
-    this.baseRunner = new TaskRunner(baseOptions, new DefaultLogger(false));
+    // Every runner this queue creates (batch groups included) draws on the same limits
+    const { rateLimit, circuitBreaker } = this.options;
+    this.limits = {
+      ...(rateLimit && { rateLimiter: new TokenBucket(rateLimit) }),
+      ...(circuitBreaker && {
+        breaker: new CircuitBreaker(circuitBreaker, change => {
+          // Listeners run inside a task's attempt, so they must not throw into it
+          try {
+            this.emit('circuitStateChange', change);
+          } catch (error) {
+            this.logger.error(`Listener for circuitStateChange failed: ${error instanceof Error ? error.message : String(error)}`);
+          }
+        })
+      })
+    };
+    this.baseRunner = this.createRunner();
     
     // Set up event handlers
-    if (this.options.eventHandlers) {
-      Object.entries(this.options.eventHandlers).forEach(([event, handler]) => {
-        this.on(event, handler);
-      });
-    }
+    const handlers = this.options.eventHandlers ?? {};
+    (Object.keys(HANDLER_EVENTS) as Array<keyof EventHandlers>).forEach(name => {
+      const handler = handlers[name];
+      if (handler) {
+        this.on(HANDLER_EVENTS[name], handler as (...args: any[]) => void);
+      }
+    });
+  }
+  
+  /**
+   * Creates a runner for this queue's options with `overrides` applied, and
+   * re-emits its lifecycle hooks as task* events.
+   */
+  private createRunner(overrides: BatchPolicy = {}): TaskRunner {
+    const options = { ...this.options, ...overrides };
+    
+    return new TaskRunner(
+      {
+        ...options,
+        concurrency: options.concurrency || 3,
+        hooks: {
+          onStart: (...args) => this.emit('taskStart', ...args),
+          onRetry: (...args) => this.emit('taskRetry', ...args),
+          onSuccess: (...args) => this.emit('taskSuccess', ...args),
+          onError: (...args) => this.emit('taskError', ...args),
+          onTimeout: (...args) => this.emit('taskTimeout', ...args),
+          onSoftTimeout: (...args) => this.emit('taskSoftTimeout', ...args),
+          onConcurrencyChange: change => this.emit('concurrencyChange', change)
+        }
+      },
+      this.logger,
+      this.limits
+    );
   }
   
-  add(taskOrPriority: AsyncTask | PriorityTask, metadata: TaskMetadata = {}): void {
+  /**
+   * Queues a task and returns a promise for its result. Tasks added while
+   * run() is in progress are picked up by the running scheduler.
+   */
+  add(taskOrPriority: AsyncTask | PriorityTask, metadata: TaskMetadata = {}): Promise<TaskResult> {
     if (this.isStopped) {
       throw new Error('Cannot add tasks to stopped queue');
     }
@@ -97,84 +237,163 @@ export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
       taskMetadata = { ...taskOrPriority, ...metadata };
     }
     
-    this.tasks.push({
-      task,
-      metadata: taskMetadata,
-      priority
+    return new Promise<TaskResult>(resolve => {
+      const entry: QueueEntry = {
+        task,
+        metadata: taskMetadata,
+        priority,
+        index: this.tasks.length,
+        enqueuedAt: performance.now(),
+        resolve
+      };
+      
+      this.tasks.push(entry);
+      this.enqueue(entry);
     });
+  }
+  
+  /**
+   * Adds tasks read from an iterable or async iterable, which can be
+   * arbitrarily large, as the queue drains: reading pauses while the queue
+   * holds `concurrency` (or `batchSize`, if larger) tasks. A run in progress
+   * keeps going until the source is exhausted. Dependency-graph and
+   * parallel-batch runs need every task up front, so they read the whole
+   * source before starting. Resolves once the source is exhausted or the
+   * queue is stopped, and rejects if reading it throws.
+   */
+  async addFrom<T>(tasks: TaskInputs<T>): Promise<void> {
+    if (this.isStopped) {
+      throw new Error('Cannot add tasks to stopped queue');
+    }
     
-    // Sort by priority if priority queue is enabled
-    if (this.options.priorityQueue) {
-      this.tasks.sort((a, b) => b.priority - a.priority);
+    this.feeds++;
+    try {
+      for await (const input of tasks) {
+        if (this.isStopped) break;
+        
+        const { task, metadata = {} } = typeof input === 'function' ? { task: input } : input;
+        this.add(task, metadata);
+        if (this.queue.size >= this.feedLimit()) {
+          await this.onEmpty();
+        }
+      }
+    } finally {
+      this.feeds--;
+      this.notifyChange();
+    }
+  }
+  
+  private feedLimit(): number {
+    if (this.options.dependencyGraph || this.options.parallelBatches) {
+      return Infinity;
     }
+    return Math.max(this.options.concurrency ?? 1, this.options.batchSize ?? 0);
+  }
+  
+  /**
+   * Resolves once every queued task has been handed to the scheduler.
+   */
+  onEmpty(): Promise<void> {
+    if (this.queue.size === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.emptyWaiters.push(resolve));
+  }
+  
+  /**
+   * Resolves once the queue is empty and no task is running.
+   */
+  onIdle(): Promise<void> {
+    const { running, pending } = this.status();
+    if (running === 0 && pending === 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
   }
   
   async run(): Promise<TaskResult[]> {
     if (this.isStopped) {
       throw new Error('Cannot run stopped queue');
     }
+    if (this.isRunning) {
+      throw new Error('Queue is already running');
+    }
     
-    this.emit('start', this.tasks.length);
+    this.isRunning = true;
+    this.settledInRun = 0;
+    this.batchSummaries.clear();
+    this.finishedInRun = 0;
+    this.runStartedAt = performance.now();
+    this.runEndedAt = undefined;
+    this.emit('start', this.queue.size);
     
+    const startTime = new Date();
     let results: TaskResult[];
+    try {
+      results = await this.execute();
+    } finally {
+      this.isRunning = false;
+      this.runEndedAt = performance.now();
+    }
     
-    if (this.options.batchSize && this.options.batchSize > 0) {
-      results = await this.runBatched();
-    } else {
-      results = await this.runAll();
+    const notRun = [...this.cancelledForRun.splice(0), ...this.stoppedForRun.splice(0)];
+    if (notRun.length > 0) {
+      results = [...results, ...notRun].sort((a, b) => a.taskIndex - b.taskIndex);
     }
     
-    this.emit('complete', {
-      success: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      total: results.length,
-      results
-    });
+    this.emit('complete', generateExecutionSummary(
+      results,
+      startTime,
+      new Date(),
+      this.baseRunner.summarizeRun(startTime)
+    ));
     
     return results;
   }
   
+  protected async execute(): Promise<TaskResult[]> {
+    if (this.options.dependencyGraph) {
+      return this.runGraph();
+    }
+    
+    if (this.options.parallelBatches) {
+      return this.runParallelBatches();
+    }
+    
+    if (this.options.batchSize && this.options.batchSize > 0) {
+      return this.runBatched();
+    }
+    
+    return this.runAll();
+  }
+  
   protected async runBatched(): Promise<TaskResult[]> {
     const allResults: TaskResult[] = [];
     const batchSize = this.options.batchSize!;
+    let batchNumber = 0;
     
-    for (let i = 0; i < this.tasks.length; i += batchSize) {
-      if (this.isStopped) break;
-      
-      while (this.isPaused) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+    for (;;) {
+      await this.waitWhilePaused();
+      // Let addFrom() fill the batch before it starts
+      while (this.feeds > 0 && !this.isStopped && this.queue.size < batchSize) {
+        await this.waitForChange();
       }
+      if (this.isStopped || this.queue.size === 0) break;
       
-      const batch = this.tasks.slice(i, i + batchSize);
-      this.emit('batchStart', Math.floor(i / batchSize) + 1, batch.length);
-      
-      const batchTasks = batch.map(({ task }) => task);
-      const batchResults = await this.baseRunner.run(batchTasks);
+      const batchLength = Math.min(batchSize, this.queue.size);
+      const startTime = new Date();
+      this.emit('batchStart', ++batchNumber, batchLength);
       
-      // Add metadata to results
-      batchResults.forEach((result, index) => {
-        if (batch[index]?.metadata) {
-          result.metadata = batch[index].metadata;
-        }
-      });
+      const batchResults = this.options.transactional
+        ? await this.runTransaction(this.options, this.takeQueued(undefined, batchLength), this.baseRunner, batchNumber)
+        : await this.runEntries({ limit: batchLength });
       
       allResults.push(...batchResults);
       
-      this.emit('batchComplete', Math.floor(i / batchSize) + 1, batchResults);
-      this.emit('progress', allResults.length, this.tasks.length, 0);
-      
-      // Check for stop/pause conditions
-      if (this.options.stopOnError && batchResults.some(r => !r.success)) {
-        this.isStopped = true;
-        break;
-      }
-      
-      if (this.options.pauseOnError && batchResults.some(r => !r.success)) {
-        this.isPaused = true;
-      }
+      this.recordBatch(batchNumber, batchResults, startTime);
       
       // Batch delay
-      if (this.options.batchDelay && this.options.batchDelay > 0 && i + batchSize < this.tasks.length) {
+      if (this.options.batchDelay && this.options.batchDelay > 0 && this.queue.size > 0) {
         await new Promise(resolve => setTimeout(resolve, this.options.batchDelay!));
       }
     }
@@ -182,22 +401,731 @@ export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
     return allResults;
   }
   
+  /**
+   * Runs the live queue until it is empty and nothing is in flight, picking
+   * up tasks added along the way.
+   */
   protected async runAll(): Promise<TaskResult[]> {
-    const tasks = this.tasks.map(({ task }) => task);
-    const results = await this.baseRunner.run(tasks);
+    return this.runEntries({ waitForFeeds: true });
+  }
+  
+  /**
+   * Runs each batch group (see groupTasksByBatch()) under its own runner, with
+   * any `batchPolicies` entry for it applied, keeping at most
+   * `maxParallelBatches` groups in flight.
+   */
+  protected async runParallelBatches(): Promise<TaskResult[]> {
+    const maxParallel = this.options.maxParallelBatches ?? Infinity;
+    const allResults: TaskResult[] = [];
+    const active = new Map<string, Promise<void>>();
+    let batchNumber = 0;
+    await this.waitForFeeds();
     
-    // Add metadata to results
-    results.forEach((result, index) => {
-      if (index < this.tasks.length && this.tasks[index]?.metadata) {
-        result.metadata = this.tasks[index].metadata;
+    for (;;) {
+      if (!this.isStopped) {
+        for (const batchId of this.queuedBatchIds()) {
+          if (active.size >= maxParallel) break;
+          if (active.has(batchId)) continue;
+          
+          active.set(batchId, this.runBatchGroup(batchId, ++batchNumber).then(results => {
+            allResults.push(...results);
+            active.delete(batchId);
+          }));
+        }
+      }
+      
+      if (active.size === 0) break;
+      await Promise.race([...active.values(), this.waitForChange()]);
+    }
+    
+    return allResults.sort((a, b) => a.taskIndex - b.taskIndex);
+  }
+  
+  private async runBatchGroup(batchId: string, batchNumber: number): Promise<TaskResult[]> {
+    const policy = this.options.batchPolicies?.[batchId];
+    const config = { ...this.options, ...policy };
+    const runner = this.createRunner(policy);
+    const select = (entry: QueueEntry) => batchOf(entry) === batchId;
+    const startTime = new Date();
+    this.emit('batchStart', batchNumber, this.queue.values().filter(select).length, batchId);
+    
+    this.batchRunners.add(runner);
+    let results: TaskResult[];
+    try {
+      results = config.transactional
+        ? await this.runTransaction(config, this.takeQueued(select), runner, batchNumber, batchId)
+        : await this.runEntries({ runner, select });
+    } finally {
+      this.batchRunners.delete(runner);
+    }
+    
+    this.recordBatch(batchNumber, results, startTime, batchId);
+    return results;
+  }
+  
+  /**
+   * Runs `entries` all-or-nothing. When any task fails, `rollback` receives
+   * that attempt's results and the whole batch runs again, up to
+   * `batchRetries` more times. Each result records the batch attempt that
+   * produced it, and the entries settle only once the batch is finished.
+   */
+  private async runTransaction(
+    config: TransactionConfig,
+    entries: QueueEntry[],
+    runner: TaskRunner,
+    batchNumber: number,
+    batchId?: string
+  ): Promise<TaskResult[]> {
+    const results = await this.retryBatch(config, () => this.runFixed(entries, runner), batchNumber, batchId);
+    
+    results.forEach((result, position) => {
+      // Cancelled entries settled when they were cancelled
+      if (!entries[position]!.result) {
+        this.markSettled(entries[position]!, result);
       }
     });
+    return results.sort((a, b) => a.taskIndex - b.taskIndex);
+  }
+  
+  private async retryBatch(
+    config: TransactionConfig,
+    runAttempt: () => Promise<TaskResult[]>,
+    batchNumber: number,
+    batchId?: string
+  ): Promise<TaskResult[]> {
+    const maxAttempts = (config.batchRetries ?? 0) + 1;
+    let results: TaskResult[] = [];
+    
+    for (let batchAttempt = 1; batchAttempt <= maxAttempts; batchAttempt++) {
+      results = await runAttempt();
+      results.forEach(result => {
+        result.batchAttempt = batchAttempt;
+      });
+      
+      if (results.every(result => result.success || result.cancelled)) break;
+      
+      let rollbackError: Error | undefined;
+      try {
+        await config.rollback?.(results);
+      } catch (error) {
+        rollbackError = error instanceof Error ? error : new Error(String(error));
+      }
+      this.emit('batchRollback', batchNumber, batchAttempt, results, batchId, rollbackError);
+      
+      // A batch that could not be rolled back is not safe to run again
+      if (rollbackError || this.isStopped) break;
+    }
     
     return results;
   }
   
+  /**
+   * Runs a fixed list of entries through `runner` without settling them.
+   * Entries the run never started, because the queue was stopped, come back
+   * as skipped. Until an entry starts it can be cancelled, which settles it
+   * and leaves it out of this and later attempts.
+   */
+  private async runFixed(entries: QueueEntry[], runner: TaskRunner): Promise<TaskResult[]> {
+    const results: TaskResult[] = new Array(entries.length);
+    const positions = new Map(entries.map((entry, position) => [entry.index, position]));
+    const held = new Set<number>();
+    let next = 0;
+    const unsent = () => entries.slice(next).some(entry => !entry.result);
+    
+    entries.forEach(entry => {
+      if (!entry.result) {
+        this.detached.set(entry.index, { entry, cancel: result => this.markSettled(entry, result) });
+      }
+    });
+    
+    try {
+      await runner.runSource({
+        next: () => {
+          if (!this.canStartTasks()) return undefined;
+          
+          while (next < entries.length && entries[next]!.result) next++;
+          if (next >= entries.length) return undefined;
+          
+          const entry = entries[next++]!;
+          held.add(entry.index);
+          return { task: entry.task, metadata: entry.metadata, taskIndex: entry.index };
+        },
+        isDone: () => this.isStopped || (!unsent() && held.size === 0),
+        canStart: () => this.canStartTasks(),
+        start: task => {
+          held.delete(task.taskIndex);
+          if (this.tasks[task.taskIndex]!.result) return false;
+          
+          this.detached.delete(task.taskIndex);
+          this.running.add(task.taskIndex);
+          return true;
+        },
+        settled: (task, result) => {
+          // Left for the cancelled or stopped result below
+          if (this.tasks[task.taskIndex]!.result) return;
+          if (held.delete(task.taskIndex) && this.isStopped) return;
+          
+          this.running.delete(task.taskIndex);
+          results[positions.get(task.taskIndex)!] = result;
+        },
+        waitForTasks: () => this.waitForChange()
+      });
+    } finally {
+      entries.forEach(entry => this.detached.delete(entry.index));
+    }
+    
+    return entries.map((entry, position) => entry.result ?? results[position] ?? this.createStoppedResult(entry));
+  }
+  
+  /**
+   * Batch ids of the queued tasks, ordered by their first task in dispatch
+   * order.
+   */
+  private queuedBatchIds(): string[] {
+    const firsts = new Map<string, QueueEntry>();
+    this.queue.values().forEach(entry => {
+      const first = firsts.get(batchOf(entry));
+      if (!first || this.compareEntries(entry, first) < 0) {
+        firsts.set(batchOf(entry), entry);
+      }
+    });
+    
+    return Array.from(firsts.values())
+      .sort((a, b) => this.compareEntries(a, b))
+      .map(batchOf);
+  }
+  
+  /**
+   * Next queued entry in dispatch order, or the next one accepted by `select`.
+   */
+  private peekQueued(select?: (entry: QueueEntry) => boolean): QueueEntry | undefined {
+    return select ? this.queue.find(select) : this.queue.peek();
+  }
+  
+  /**
+   * Removes up to `limit` queued entries accepted by `select`, in dispatch
+   * order.
+   */
+  private takeQueued(select?: (entry: QueueEntry) => boolean, limit = Infinity): QueueEntry[] {
+    const taken: QueueEntry[] = [];
+    for (let entry = this.peekQueued(select); entry && taken.length < limit; entry = this.peekQueued(select)) {
+      this.queue.remove(entry);
+      taken.push(entry);
+    }
+    
+    this.checkIdle();
+    return taken;
+  }
+  
+  private recordBatch(batchNumber: number, results: TaskResult[], startTime: Date, batchId?: string): void {
+    const summary = generateExecutionSummary(results, startTime, new Date());
+    this.batchSummaries.set(batchId ?? batchNumber, summary);
+    this.emit('batchComplete', batchNumber, results, summary, batchId);
+  }
+  
+  /**
+   * Summaries of the batches run by the current or last run(), keyed by
+   * batch number, or by batch id with `parallelBatches`.
+   */
+  getBatchSummaries(): Map<number | string, TaskExecutionSummary> {
+    return new Map(this.batchSummaries);
+  }
+  
+  /**
+   * Feeds queued entries accepted by `select` (up to `limit` of them) through
+   * `runner`, picking the next one in dispatch order each time a slot frees
+   * up. No new task starts while the queue is paused or stopped. With
+   * `waitForFeeds` the run also lasts until every addFrom() source is read.
+   */
+  private async runEntries({
+    runner = this.baseRunner,
+    select,
+    limit = Infinity,
+    waitForFeeds = false
+  }: {
+    runner?: TaskRunner;
+    select?: (entry: QueueEntry) => boolean;
+    limit?: number;
+    waitForFeeds?: boolean;
+  } = {}): Promise<TaskResult[]> {
+    const results: TaskResult[] = [];
+    let taken = 0;
+    const peek = () => (taken < limit ? this.peekQueued(select) : undefined);
+    const holding = () => [...this.held.values()].some(entry => !select || select(entry));
+    
+    await runner.runSource({
+      next: () => {
+        if (!this.canStartTasks()) return undefined;
+        
+        const entry = peek();
+        if (!entry) return undefined;
+        
+        this.queue.remove(entry);
+        taken++;
+        this.held.set(entry.index, entry);
+        return { task: entry.task, metadata: entry.metadata, taskIndex: entry.index };
+      },
+      isDone: () => this.isStopped || (peek() === undefined && !holding() && !(waitForFeeds && this.feeds > 0)),
+      canStart: () => this.canStartTasks(),
+      start: task => {
+        const entry = this.held.get(task.taskIndex);
+        if (!entry) return false;
+        
+        this.held.delete(task.taskIndex);
+        this.markStarted(entry);
+        return true;
+      },
+      settled: (task, result) => {
+        const entry = this.tasks[task.taskIndex]!;
+        // Held tasks cancelled in the meantime have settled already
+        if (entry.result) return;
+        
+        results.push(result);
+        this.markSettled(entry, result);
+      },
+      waitForTasks: () => this.waitForChange()
+    });
+    
+    return results.sort((a, b) => a.taskIndex - b.taskIndex);
+  }
+  
+  /**
+   * Runs tasks as a dependency graph: a task starts once every task listed in
+   * its `dependencies` has succeeded, and receives their results through
+   * `context.dependencyResults`. Dependents of a failed or cancelled task
+   * are skipped. The graph is built from the tasks queued when the run
+   * starts.
+   */
+  protected async runGraph(): Promise<TaskResult[]> {
+    await this.waitForFeeds();
+    const entries = this.queue.toArray();
+    const cancelled = [...this.cancelledForRun];
+    validateDependencyGraph([
+      ...entries.map(({ metadata }) => metadata),
+      ...cancelled.map(({ metadata }) => metadata ?? {})
+    ]);
+    this.queue.clear();
+    this.checkIdle();
+    
+    const localIndex = new Map(entries.map((entry, index) => [entry.index, index]));
+    const results: TaskResult[] = new Array(entries.length);
+    const resultsById = new Map<string, TaskResult>();
+    const dependents = new Map<string, number[]>();
+    const remaining = entries.map(({ metadata }) => metadata.dependencies?.length ?? 0);
+    const ready = new PriorityHeap<number>((a, b) => this.compareEntries(entries[a]!, entries[b]!));
+    remaining.forEach((count, index) => {
+      if (count === 0) ready.push(index);
+    });
+    let handedOut = 0;
+    const held = new Set<number>();
+    
+    entries.forEach(({ metadata }, index) => {
+      metadata.dependencies?.forEach(id => {
+        dependents.set(id, [...(dependents.get(id) ?? []), index]);
+      });
+    });
+    
+    const record = (index: number, result: TaskResult) => {
+      results[index] = result;
+      this.detached.delete(entries[index]!.index);
+      this.markSettled(entries[index]!, result);
+      
+      const id = entries[index]!.metadata.id;
+      if (id === undefined) return;
+      resultsById.set(id, result);
+      settleDependents(id, result);
+    };
+    
+    const settleDependents = (id: string, result: TaskResult) => {
+      dependents.get(id)?.forEach(dependent => {
+        if (results[dependent] !== undefined) return;
+        
+        if (!result.success) {
+          handedOut++;
+          record(dependent, {
+            success: false,
+            skipped: true,
+            error: new Error(`Skipped because dependency "${id}" did not succeed`),
+            taskIndex: entries[dependent]!.index,
+            attempts: 0,
+            metadata: entries[dependent]!.metadata
+          });
+        } else if (--remaining[dependent]! === 0) {
+          ready.push(dependent);
+        }
+      });
+    };
+    
+    // Cancelled tasks count as settled dependencies that did not succeed
+    cancelled.forEach(result => {
+      if (result.metadata?.id !== undefined) {
+        settleDependents(result.metadata.id, result);
+      }
+    });
+    
+    // Nodes stay cancellable, and movable among the ready ones, until they start
+    entries.forEach((entry, index) => {
+      this.detached.set(entry.index, {
+        entry,
+        cancel: result => {
+          if (!held.delete(entry.index)) {
+            ready.remove(index);
+            handedOut++;
+          }
+          record(index, result);
+        },
+        reorder: () => {
+          ready.update(index);
+        }
+      });
+    });
+    
+    await this.baseRunner.runSource({
+      next: () => {
+        if (!this.canStartTasks()) return undefined;
+        
+        const index = ready.pop();
+        if (index === undefined) return undefined;
+        
+        handedOut++;
+        const entry = entries[index]!;
+        const dependencyResults = Object.fromEntries(
+          (entry.metadata.dependencies ?? []).map(id => [id, resultsById.get(id)!.result])
+        );
+        
+        held.add(entry.index);
+        return { task: entry.task, metadata: entry.metadata, taskIndex: entry.index, dependencyResults };
+      },
+      isDone: () => this.isStopped || (handedOut >= entries.length && held.size === 0),
+      canStart: () => this.canStartTasks(),
+      start: task => {
+        if (!held.delete(task.taskIndex)) return false;
+        
+        this.detached.delete(task.taskIndex);
+        this.markStarted(this.tasks[task.taskIndex]!);
+        return true;
+      },
+      settled: (task, result) => {
+        const index = localIndex.get(task.taskIndex)!;
+        // Cancelled while held back, or left for the stopped result below
+        if (results[index] !== undefined) return;
+        if (held.delete(task.taskIndex) && this.isStopped) return;
+        
+        record(index, result);
+      },
+      waitForTasks: () => this.waitForChange()
+    });
+    
+    // Tasks the graph never reached because the queue was stopped
+    entries.forEach((entry, index) => {
+      this.detached.delete(entry.index);
+      if (results[index] === undefined) {
+        this.settleStopped(entry);
+      }
+    });
+    
+    return results
+      .filter(result => result !== undefined)
+      .sort((a, b) => a.taskIndex - b.taskIndex);
+  }
+  
+  private enqueue(entry: QueueEntry): void {
+    this.queue.push(entry);
+    this.notifyChange();
+  }
+  
+  /**
+   * Dispatch order: promoted tasks first, then FIFO, or with `priorityQueue`
+   * highest priority first and FIFO among equals. With `agingInterval` a task
+   * gains one priority level for every interval it has waited. Every queued task ages at the same
+   * rate, so comparing `priority - enqueuedAt / agingInterval` gives the same
+   * order at any moment and the heap never needs rebuilding.
+   */
+  private compareEntries(a: QueueEntry, b: QueueEntry): number {
+    if (a.promoted !== b.promoted) {
+      return (b.promoted ?? 0) - (a.promoted ?? 0);
+    }
+    
+    if (this.options.priorityQueue) {
+      const difference = this.agedPriority(b) - this.agedPriority(a);
+      if (difference !== 0) return difference;
+    }
+    return a.index - b.index;
+  }
+  
+  private agedPriority(entry: QueueEntry): number {
+    const { agingInterval } = this.options;
+    return agingInterval ? entry.priority - entry.enqueuedAt / agingInterval : entry.priority;
+  }
+  
+  /**
+   * Changes the priority of a task that has not started yet. Returns false
+   * for the same tasks as promote().
+   */
+  reprioritize(id: string, priority: number): boolean {
+    return this.reorder(id, entry => {
+      entry.priority = priority;
+      entry.metadata = { ...entry.metadata, priority };
+    });
+  }
+  
+  /**
+   * Applies `change` to the ordering of the not yet started task with this
+   * id, wherever it waits to be dispatched.
+   */
+  private reorder(id: string, change: (entry: QueueEntry) => void): boolean {
+    const entry = this.queue.find(queued => queued.metadata.id === id);
+    if (entry) {
+      change(entry);
+      this.queue.update(entry);
+      return true;
+    }
+    
+    const detached = [...this.detached.values()].find(candidate => candidate.entry.metadata.id === id);
+    if (!detached?.reorder) {
+      return false;
+    }
+    
+    change(detached.entry);
+    detached.reorder();
+    return true;
+  }
+  
+  // Queue management
+  
+  /**
+   * Tasks added since the last clear(), in the order they were added.
+   */
+  list(filter: TaskFilter | ((task: TaskInfo) => boolean) = {}): TaskInfo[] {
+    const matches = typeof filter === 'function' ? filter : matchesFilter(filter);
+    return this.tasks.map(entry => this.describe(entry)).filter(matches);
+  }
+  
+  get(id: string): TaskInfo | undefined {
+    const entry = this.tasks.find(task => task.metadata.id === id);
+    return entry && this.describe(entry);
+  }
+  
+  /**
+   * Cancels the pending task with this id, whether it is queued, held back
+   * for its key, or waiting in a dependency graph or transactional batch.
+   * Returns false if there is none; tasks that have already started are not
+   * affected.
+   */
+  cancel(id: string): boolean {
+    return this.remove(task => task.id === id) > 0;
+  }
+  
+  cancelByTag(tag: string): number {
+    return this.remove(task => task.metadata.tags?.includes(tag) ?? false);
+  }
+  
+  /**
+   * Cancels every pending task that matches `predicate` and returns how many
+   * were cancelled. Each settles with `cancelled: true`, and is included in
+   * the results of the current run, or of the next one if the queue is idle.
+   * In a dependency graph, the dependents of a cancelled task are skipped.
+   */
+  remove(predicate: (task: TaskInfo) => boolean): number {
+    const detached = [...this.detached.values()].map(({ entry }) => entry);
+    const removed = [...this.queue.values(), ...this.held.values(), ...detached]
+      .filter(entry => predicate(this.describe(entry)))
+      .sort((a, b) => a.index - b.index);
+    
+    let count = 0;
+    removed.forEach(entry => {
+      // Skipped already, as the dependent of a task cancelled before it
+      if (entry.result) return;
+      
+      count++;
+      const result: TaskResult = {
+        success: false,
+        cancelled: true,
+        error: new AbortError('Task was cancelled'),
+        taskIndex: entry.index,
+        attempts: 0,
+        metadata: entry.metadata
+      };
+      this.emit('taskCancelled', entry.index, entry.metadata);
+      
+      // A graph or batch reports its own cancelled tasks
+      const owner = this.detached.get(entry.index);
+      if (owner) {
+        this.detached.delete(entry.index);
+        owner.cancel(result);
+        return;
+      }
+      
+      if (!this.held.delete(entry.index)) {
+        this.queue.remove(entry);
+      }
+      this.cancelledForRun.push(result);
+      this.markSettled(entry, result);
+    });
+    
+    return count;
+  }
+  
+  /**
+   * Moves a pending task to the front of the queue, or in a dependency graph
+   * ahead of the other tasks that are ready. Returns false if there is no
+   * such task, and for tasks whose place is already fixed: those held back
+   * for their key, weight or resources, and those in a transactional batch,
+   * which run in batch order.
+   */
+  promote(id: string): boolean {
+    return this.reorder(id, entry => {
+      entry.promoted = ++this.promotions;
+    });
+  }
+  
+  private describe(entry: QueueEntry): TaskInfo {
+    let state: TaskState = 'pending';
+    if (entry.result) {
+      if (entry.result.success) state = 'completed';
+      else if (entry.result.cancelled) state = 'cancelled';
+      else if (entry.result.skipped) state = 'skipped';
+      else state = 'failed';
+    } else if (this.running.has(entry.index)) {
+      state = 'running';
+    }
+    
+    return {
+      taskIndex: entry.index,
+      ...(entry.metadata.id !== undefined && { id: entry.metadata.id }),
+      state,
+      priority: entry.priority,
+      metadata: entry.metadata,
+      ...(entry.result !== undefined && { result: entry.result })
+    };
+  }
+  
+  /**
+   * Wakes a run waiting in waitForChange() after add(), resume() or stop().
+   */
+  private notifyChange(): void {
+    const changed = this.queueChanged;
+    this.queueChanged = undefined;
+    changed?.resolve();
+  }
+  
+  private waitForChange(): Promise<void> {
+    if (!this.queueChanged) {
+      let resolve!: () => void;
+      const promise = new Promise<void>(done => {
+        resolve = done;
+      });
+      this.queueChanged = { promise, resolve };
+    }
+    return this.queueChanged.promise;
+  }
+  
+  private async waitForFeeds(): Promise<void> {
+    while (this.feeds > 0 && !this.isStopped) {
+      await this.waitForChange();
+    }
+  }
+  
+  private async waitWhilePaused(): Promise<void> {
+    while (this.isPaused && !this.isStopped) {
+      await this.waitForChange();
+    }
+  }
+  
+  private canStartTasks(): boolean {
+    return !this.isPaused && !this.isStopped;
+  }
+  
+  private markStarted(entry: QueueEntry): void {
+    this.running.add(entry.index);
+    this.checkIdle();
+  }
+  
+  private markSettled(entry: QueueEntry, result: TaskResult): void {
+    this.running.delete(entry.index);
+    this.held.delete(entry.index);
+    entry.result = result;
+    
+    const executed = !result.skipped && !result.cancelled;
+    
+    if (result.success) {
+      this.completed.push(result);
+    } else if (result.cancelled) {
+      this.cancelled.push(result);
+    } else if (result.skipped) {
+      this.skipped.push(result);
+    } else {
+      this.failed.push(result);
+    }
+    
+    if (executed) {
+      this.finishedInRun++;
+      this.recentDurations.push(result.duration ?? 0);
+      if (this.recentDurations.length > LATENCY_WINDOW) {
+        this.recentDurations.shift();
+      }
+    }
+    
+    entry.resolve(result);
+    
+    try {
+      if (this.isRunning) {
+        const { running, pending } = this.status();
+        this.settledInRun++;
+        this.emit('progress', this.settledInRun, this.settledInRun + running + pending, running);
+      }
+    } finally {
+      // A throwing progress listener must not keep the queue from stopping or going idle
+      if (!result.success && executed) {
+        if (this.options.stopOnError) {
+          this.stop({ drain: true });
+        } else if (this.options.pauseOnError) {
+          this.pause();
+        }
+      }
+      
+      this.checkIdle();
+    }
+  }
+  
+  /**
+   * Settles a task that stop() kept from starting. During a run it is also
+   * reported in run()'s results.
+   */
+  private settleStopped(entry: QueueEntry): void {
+    const result = this.createStoppedResult(entry);
+    if (this.isRunning) {
+      this.stoppedForRun.push(result);
+    }
+    this.markSettled(entry, result);
+  }
+  
+  private createStoppedResult(entry: QueueEntry): TaskResult {
+    return {
+      success: false,
+      skipped: true,
+      error: new AbortError('Task queue was stopped'),
+      taskIndex: entry.index,
+      attempts: 0,
+      metadata: entry.metadata
+    };
+  }
+  
+  private checkIdle(): void {
+    if (this.queue.size > 0 || this.held.size > 0) return;
+    
+    this.emptyWaiters.splice(0).forEach(resolve => resolve());
+    const { running, pending } = this.status();
+    if (running === 0 && pending === 0) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+  
+  /**
+   * Stops new task starts immediately; tasks already running carry on.
+   */
   pause(): void {
-    if (!this.isStopped) {
+    if (!this.isStopped && !this.isPaused) {
       this.isPaused = true;
       this.emit('pause');
     }
@@ -207,31 +1135,61 @@ export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
     if (!this.isStopped && this.isPaused) {
       this.isPaused = false;
       this.emit('resume');
+      this.notifyChange();
     }
   }
   
-  stop(): void {
-    this.isStopped = true;
-    this.isPaused = false;
-    this.emit('stop');
+  /**
+   * Stops the queue for good. Queued tasks that have not started settle as
+   * skipped. In-flight tasks are aborted, or allowed to finish with
+   * `{ drain: true }`. Resolves once nothing is running.
+   */
+  stop(options: StopOptions = {}): Promise<void> {
+    if (!this.isStopped) {
+      this.isStopped = true;
+      this.isPaused = false;
+      
+      const unstarted = [...this.queue.toArray(), ...this.held.values()];
+      this.queue.clear();
+      unstarted.forEach(entry => this.settleStopped(entry));
+      if (!options.drain) {
+        const reason = new AbortError('Task queue was stopped');
+        [this.baseRunner, ...this.batchRunners].forEach(runner => runner.abort(reason));
+      }
+      
+      this.notifyChange();
+      this.emit('stop');
+    }
+    
+    return this.onIdle();
   }
   
   clear(): void {
     if (this.running.size > 0) {
       throw new Error('Cannot clear queue while tasks are running');
     }
+    this.remove(() => true);
     this.tasks = [];
     this.completed = [];
     this.failed = [];
+    this.skipped = [];
+    this.cancelled = [];
+    this.cancelledForRun = [];
+    this.stoppedForRun = [];
+    this.recentDurations = [];
+    this.checkIdle();
     this.emit('clear');
   }
   
   status(): QueueStatus {
     return {
       running: this.running.size,
-      pending: this.tasks.length - this.completed.length - this.failed.length,
+      pending: this.tasks.length - this.running.size - this.completed.length - this.failed.length -
+        this.skipped.length - this.cancelled.length,
       completed: this.completed.length,
       failed: this.failed.length,
+      skipped: this.skipped.length,
+      cancelled: this.cancelled.length,
       paused: this.isPaused,
       stopped: this.isStopped
     };
@@ -258,16 +1216,14 @@ export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
       throw new Error(`No tasks found for batch: ${batchId}`);
     }
     
-    const tasks = batch.map(({ task }) => task);
-    const results = await this.baseRunner.run(tasks);
+    const policy = this.options.batchPolicies?.[batchId];
+    const config = { ...this.options, ...policy };
+    const runner = this.createRunner(policy);
     
-    results.forEach((result, index) => {
-      if (batch[index]?.metadata) {
-        result.metadata = batch[index].metadata;
-      }
-    });
-    
-    return results;
+    if (config.transactional) {
+      return this.retryBatch(config, () => runner.run(batch), 1, batchId);
+    }
+    return runner.run(batch);
   }
   
   // Priority queue utilities
@@ -289,22 +1245,44 @@ export class AdvancedTaskRunner extends EventEmitter implements TaskQueue {
   // Event helper methods (removed unused emitTaskEvent)
   
   // Statistics and monitoring
-  getStatistics() {
-    // Note: completed and failed arrays are populated after tasks finish
-    // For now, we'll use a simple approach based on task count
-    const total = this.tasks.length;
-    const successRate = total > 0 ? 75 : 0; // Placeholder - will be updated after execution
+  
+  /**
+   * Live counters for the queue. Throughput and ETA cover the current run,
+   * or the last one once it has finished.
+   */
+  getStatistics(): QueueStatistics {
+    const { running, pending, completed, failed, skipped, cancelled } = this.status();
+    const finished = completed + failed;
+    const elapsed = this.runStartedAt === undefined
+      ? 0
+      : (this.runEndedAt ?? performance.now()) - this.runStartedAt;
+    const throughput = elapsed > 0 ? (this.finishedInRun / elapsed) * 1000 : 0;
+    const remaining = running + pending;
+    
+    let eta: number | undefined;
+    if (remaining === 0) {
+      eta = 0;
+    } else if (throughput > 0) {
+      eta = (remaining / throughput) * 1000;
+    }
     
     return {
       total: this.tasks.length,
-      completed: this.completed.length,
-      failed: this.failed.length,
-      running: this.running.size,
-      pending: this.tasks.length - this.completed.length - this.failed.length,
-      successRate,
+      completed,
+      failed,
+      skipped,
+      cancelled,
+      running,
+      pending,
+      successRate: finished > 0 ? (completed / finished) * 100 : 0,
       averageDuration: this.completed.length > 0 
         ? this.completed.reduce((sum, r) => sum + (r.duration || 0), 0) / this.completed.length 
-        : 0
+        : 0,
+      movingAverageLatency: this.recentDurations.length > 0
+        ? this.recentDurations.reduce((sum, d) => sum + d, 0) / this.recentDurations.length
+        : 0,
+      throughput,
+      eta
     };
   }
 }
@@ -336,108 +1314,75 @@ export class TaskBatch {
 }
 
 export class PriorityTaskQueue {
-  private tasks: PriorityTask[] = [];
+  private heap = new PriorityHeap<{ task: PriorityTask; sequence: number; enqueuedAt: number }>(
+    (a, b) => this.agedPriority(b) - this.agedPriority(a) || a.sequence - b.sequence
+  );
+  private sequence = 0;
+  
+  /**
+   * @param agingInterval ms of waiting that raise a task's priority by one level
+   */
+  constructor(private readonly agingInterval?: number) {
+    if (agingInterval !== undefined && !(agingInterval > 0)) {
+      throw new Error('agingInterval must be positive');
+    }
+  }
   
   add(task: AsyncTask, priority: number, metadata: TaskMetadata = {}): void {
-    this.tasks.push({
-      task,
-      priority,
-      ...metadata
+    this.heap.push({
+      task: { task, priority, ...metadata },
+      sequence: this.sequence++,
+      enqueuedAt: performance.now()
     });
-    
-    // Keep sorted by priority (highest first)
-    this.tasks.sort((a, b) => b.priority - a.priority);
   }
   
   getNext(): PriorityTask | undefined {
-    return this.tasks.shift();
+    return this.heap.pop()?.task;
   }
   
   peek(): PriorityTask | undefined {
-    return this.tasks[0];
+    return this.heap.peek()?.task;
+  }
+  
+  /**
+   * Changes the priority of the queued task with this id. Returns false if
+   * there is none.
+   */
+  reprioritize(id: string, priority: number): boolean {
+    const item = this.heap.find(queued => queued.task.id === id);
+    if (!item) {
+      return false;
+    }
+    
+    item.task = { ...item.task, priority };
+    this.heap.update(item);
+    return true;
   }
   
   size(): number {
-    return this.tasks.length;
+    return this.heap.size;
   }
   
   isEmpty(): boolean {
-    return this.tasks.length === 0;
+    return this.heap.size === 0;
   }
   
   clear(): void {
-    this.tasks = [];
+    this.heap.clear();
   }
   
   getByPriority(priority: number): PriorityTask[] {
-    return this.tasks.filter(t => t.priority === priority);
+    return this.heap.toArray().map(item => item.task).filter(t => t.priority === priority);
   }
   
   getPriorities(): number[] {
-    return [...new Set(this.tasks.map(t => t.priority))].sort((a, b) => b - a);
-  }
-}
-
-// Enhanced runner with event support
-export class EventDrivenTaskRunner extends AdvancedTaskRunner {
-  constructor(options: AdvancedTaskOptions = {}) {
-    super(options);
-    
-    // Set up event handlers to bridge from internal events to user handlers
-    this.on('start', (totalTasks: number) => {
-      // Emit onStart for the first task when execution begins
-      if (options.eventHandlers?.onStart && totalTasks > 0) {
-        options.eventHandlers.onStart(0);
-      }
-    });
-    
-    this.on('complete', (summary: any) => {
-      if (options.eventHandlers?.onComplete) {
-        options.eventHandlers.onComplete(summary);
-      }
-      // Also emit individual success events for completed tasks
-      if (options.eventHandlers?.onSuccess && summary.results) {
-        summary.results.forEach((result: any, index: number) => {
-          if (result.success && options.eventHandlers?.onSuccess) {
-            options.eventHandlers.onSuccess(index, result.value, result.duration);
-          }
-        });
-      }
-    });
-    
-    this.on('progress', (completed: number, total: number, running: number) => {
-      if (options.eventHandlers?.onProgress) {
-        options.eventHandlers.onProgress(completed, total, running);
-      }
-    });
+    return [...new Set(this.heap.values().map(item => item.task.priority))].sort((a, b) => b - a);
   }
   
-  // Override run to emit more detailed events
-  async run(): Promise<TaskResult[]> {
-    if (this.isStopped) {
-      throw new Error('Cannot run stopped queue');
-    }
-    
-    this.emit('start', this.tasks.length);
-    
-    let results: TaskResult[];
-    
-    if (this.options.batchSize && this.options.batchSize > 0) {
-      results = await this.runBatched();
-    } else {
-      results = await this.runAll();
-    }
-    
-    // Create a proper summary object for the complete event
-    const summary = {
-      success: results.filter(r => r.success).length,
-      failed: results.filter(r => !r.success).length,
-      total: results.length,
-      results
-    };
-    
-    this.emit('complete', summary);
-    
-    return results;
+  private agedPriority(item: { task: PriorityTask; enqueuedAt: number }): number {
+    return this.agingInterval ? item.task.priority - item.enqueuedAt / this.agingInterval : item.task.priority;
   }
-}
\ No newline at end of file
+}
+
+// Kept for compatibility: AdvancedTaskRunner now wires eventHandlers itself
+export class EventDrivenTaskRunner extends AdvancedTaskRunner {}
@@ -0,0 +1,214 @@
+import {
+  CircuitBreakerConfig,
+  CircuitBreakerSummary,
+  CircuitOpenError,
+  CircuitState,
+  CircuitStateChange,
+  TaskMetadata
+} from './types.js';
+
+const HISTORY_LIMIT = 1000;
+
+interface Circuit {
+  state: CircuitState;
+  /** Outcomes of recent attempts while closed, true for a failure */
+  outcomes: boolean[];
+  openedAt: number;
+  probesInFlight: number;
+  probeSuccesses: number;
+  waiters: Set<() => void>;
+}
+
+/**
+ * Admission ticket for one attempt. Probes are the attempts a half-open
+ * circuit lets through.
+ */
+export interface CircuitPermit {
+  key: string;
+  probe: boolean;
+}
+
+/**
+ * Closed/open/half-open circuit breaker with one circuit per key. Only
+ * attempts admitted while a circuit is closed count toward opening it, so
+ * late failures from work started before it opened are not counted twice.
+ */
+export class CircuitBreaker {
+  readonly whenOpen: 'fail' | 'defer';
+  private readonly failureThreshold: number;
+  private readonly minimumRequests: number;
+  private readonly window: number;
+  private readonly cooldown: number;
+  private readonly halfOpenProbes: number;
+  private readonly circuits = new Map<string, Circuit>();
+  private readonly history: CircuitStateChange[] = [];
+
+  constructor(
+    private readonly config: CircuitBreakerConfig,
+    private readonly onChange?: (change: CircuitStateChange) => void
+  ) {
+    this.whenOpen = config.whenOpen ?? 'fail';
+    this.failureThreshold = config.failureThreshold ?? 0.5;
+    this.minimumRequests = config.minimumRequests ?? 5;
+    this.window = config.window ?? 20;
+    this.cooldown = config.cooldown ?? 30000;
+    this.halfOpenProbes = config.halfOpenProbes ?? 1;
+
+    if (!(this.failureThreshold > 0 && this.failureThreshold <= 1)) {
+      throw new Error('circuitBreaker failureThreshold must be between 0 and 1');
+    }
+    if (!(this.minimumRequests >= 1) || !(this.window >= this.minimumRequests)) {
+      throw new Error('circuitBreaker requires 1 <= minimumRequests <= window');
+    }
+    if (!(this.cooldown >= 0) || !(this.halfOpenProbes >= 1)) {
+      throw new Error('circuitBreaker requires a non-negative cooldown and at least one probe');
+    }
+  }
+
+  keyOf(metadata?: TaskMetadata): string | undefined {
+    return this.config.key ? this.config.key(metadata ?? {}) : 'default';
+  }
+
+  stateOf(key: string): CircuitState {
+    return this.circuits.get(key)?.state ?? 'closed';
+  }
+
+  /**
+   * Admits an attempt, or returns the CircuitOpenError it should fail with.
+   */
+  tryAcquire(key: string): CircuitPermit | CircuitOpenError {
+    const circuit = this.circuit(key);
+
+    if (circuit.state === 'open') {
+      const retryAfter = circuit.openedAt + this.cooldown - performance.now();
+      if (retryAfter > 0) {
+        return new CircuitOpenError(key, retryAfter);
+      }
+      this.transition(key, circuit, 'half-open');
+    }
+
+    if (circuit.state === 'half-open') {
+      if (circuit.probesInFlight + circuit.probeSuccesses >= this.halfOpenProbes) {
+        return new CircuitOpenError(key, 0);
+      }
+      circuit.probesInFlight++;
+      return { key, probe: true };
+    }
+
+    return { key, probe: false };
+  }
+
+  /**
+   * Reports how an admitted attempt went. `failed` is undefined for an
+   * attempt that was aborted, which frees a probe without counting.
+   */
+  release(permit: CircuitPermit, failed: boolean | undefined): void {
+    const circuit = this.circuit(permit.key);
+
+    if (permit.probe) {
+      circuit.probesInFlight--;
+      if (circuit.state !== 'half-open') return;
+
+      if (failed) {
+        this.open(permit.key, circuit);
+      } else if (failed === false && ++circuit.probeSuccesses >= this.halfOpenProbes) {
+        circuit.outcomes = [];
+        this.transition(permit.key, circuit, 'closed');
+      } else {
+        this.wake(circuit);
+      }
+      return;
+    }
+
+    if (circuit.state !== 'closed' || failed === undefined) return;
+
+    circuit.outcomes.push(failed);
+    if (circuit.outcomes.length > this.window) {
+      circuit.outcomes.shift();
+    }
+
+    const failures = circuit.outcomes.filter(Boolean).length;
+    if (circuit.outcomes.length >= this.minimumRequests && failures / circuit.outcomes.length >= this.failureThreshold) {
+      this.open(permit.key, circuit);
+    }
+  }
+
+  /**
+   * Resolves once the circuit changes state, a probe slot frees up or an
+   * open circuit's cooldown has passed. Rejects if `signal` aborts first.
+   */
+  waitForChange(key: string, signal: AbortSignal): Promise<void> {
+    const circuit = this.circuit(key);
+
+    return new Promise<void>((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer);
+        circuit.waiters.delete(done);
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      const onAbort = () => {
+        clearTimeout(timer);
+        circuit.waiters.delete(done);
+        reject(signal.reason);
+      };
+
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const timer = circuit.state === 'open'
+        ? setTimeout(done, Math.max(0, circuit.openedAt + this.cooldown - performance.now()))
+        : undefined;
+      circuit.waiters.add(done);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * State changes since `since`; `rejected` is left for the caller to count.
+   */
+  summarize(since: Date): Omit<CircuitBreakerSummary, 'rejected'> {
+    const changes = this.history.filter(change => change.timestamp >= since);
+    const count = (state: CircuitState) => changes.filter(change => change.to === state).length;
+
+    return {
+      opened: count('open'),
+      halfOpened: count('half-open'),
+      closed: count('closed'),
+      changes
+    };
+  }
+
+  private circuit(key: string): Circuit {
+    let circuit = this.circuits.get(key);
+    if (!circuit) {
+      circuit = { state: 'closed', outcomes: [], openedAt: 0, probesInFlight: 0, probeSuccesses: 0, waiters: new Set() };
+      this.circuits.set(key, circuit);
+    }
+    return circuit;
+  }
+
+  private open(key: string, circuit: Circuit): void {
+    circuit.openedAt = performance.now();
+    this.transition(key, circuit, 'open');
+  }
+
+  private transition(key: string, circuit: Circuit, to: CircuitState): void {
+    const change: CircuitStateChange = { timestamp: new Date(), key, from: circuit.state, to };
+    circuit.state = to;
+    circuit.probeSuccesses = 0;
+
+    this.history.push(change);
+    if (this.history.length > HISTORY_LIMIT) {
+      this.history.shift();
+    }
+    this.onChange?.(change);
+    this.wake(circuit);
+  }
+
+  private wake(circuit: Circuit): void {
+    circuit.waiters.forEach(wake => wake());
+  }
+}
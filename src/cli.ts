@@ -11,7 +11,7 @@ import { Command } from 'commander';
 import fs from 'fs/promises';
 import path from 'path';
 import { runTasksWithSummary, formatSummary } from './index.js';
-import type { TaskOptions } from './types.js';
+import type { AsyncTask, TaskOptions } from './types.js';
 
 const program = new Command();
 
@@ -34,8 +34,8 @@ interface CLIConfig {
 }
 
 // Convert CLI task definitions to executable functions
-function createTaskFromDefinition(taskDef: CLITaskDefinition): () => Promise<any> {
-  return async () => {
+function createTaskFromDefinition(taskDef: CLITaskDefinition): AsyncTask {
+  return async ({ signal }) => {
     // HTTP request task
     if (taskDef.url) {
       const method = taskDef.method || 'GET';
@@ -43,6 +43,7 @@ function createTaskFromDefinition(taskDef: CLITaskDefinition): () => Promise<any
       
       const fetchOptions: RequestInit = {
         method,
+        signal,
         headers: {
           'User-Agent': 'async-task-runner CLI',
           ...headers
@@ -79,7 +80,7 @@ function createTaskFromDefinition(taskDef: CLITaskDefinition): () => Promise<any
       const execAsync = promisify(exec);
       
       try {
-        const { stdout, stderr } = await execAsync(taskDef.command);
+        const { stdout, stderr } = await execAsync(taskDef.command, { signal });
         return {
           id: taskDef.id || taskDef.command,
           name: taskDef.name || taskDef.command,
@@ -0,0 +1,158 @@
+import {
+  AggregateTaskError,
+  AbortError,
+  CollectionOptions,
+  ItemMapper,
+  TaskContext,
+  TaskInputs
+} from './types.js';
+import { TaskRunner } from './task-runner.js';
+import { createSilentLogger } from './logger.js';
+import { linkSignal } from './timeout.js';
+
+/**
+ * Runs `mapper` over `items` with the runner's concurrency, retry and timeout
+ * options and resolves with the mapped values in input order.
+ */
+export async function mapConcurrent<I, O>(
+  items: Iterable<I> | AsyncIterable<I>,
+  mapper: ItemMapper<I, O>,
+  options: CollectionOptions = {}
+): Promise<O[]> {
+  const values: O[] = [];
+  await runItems(items, mapper, options, (value, index) => {
+    values[index] = value;
+  });
+  return values;
+}
+
+/**
+ * Resolves with the items `predicate` accepts, in input order.
+ */
+export async function filterConcurrent<I>(
+  items: Iterable<I> | AsyncIterable<I>,
+  predicate: ItemMapper<I, boolean>,
+  options: CollectionOptions = {}
+): Promise<I[]> {
+  const kept: Array<{ item: I } | undefined> = [];
+  await runItems(
+    items,
+    async (item, index, context) => ((await predicate(item, index, context)) ? { item } : undefined),
+    options,
+    (value, index) => {
+      kept[index] = value;
+    }
+  );
+  return kept.filter((entry): entry is { item: I } => entry !== undefined).map(entry => entry.item);
+}
+
+/**
+ * Runs `fn` for every item without keeping what it returns.
+ */
+export async function forEachConcurrent<I>(
+  items: Iterable<I> | AsyncIterable<I>,
+  fn: ItemMapper<I, unknown>,
+  options: CollectionOptions = {}
+): Promise<void> {
+  await runItems(items, fn, options, () => {});
+}
+
+/**
+ * Maps items concurrently and folds each value into the accumulator as soon
+ * as it is ready, so values are never collected. `reducer` is called in
+ * completion order, not input order, and must be synchronous.
+ */
+export async function reduceConcurrent<I, O, A>(
+  items: Iterable<I> | AsyncIterable<I>,
+  mapper: ItemMapper<I, O>,
+  reducer: (accumulator: A, value: O, index: number) => A,
+  initial: A,
+  options: CollectionOptions = {}
+): Promise<A> {
+  let accumulator = initial;
+  await runItems(items, mapper, options, (value, index) => {
+    accumulator = reducer(accumulator, value, index);
+  });
+  return accumulator;
+}
+
+/**
+ * Runs `mapper` over `items` without retaining results, passing each value
+ * to `onValue` as it settles. A failure, including one thrown by `onValue`,
+ * is thrown right away with `stopOnError` (the default), or collected into
+ * an AggregateTaskError once every item has run.
+ */
+async function runItems<I, O>(
+  items: Iterable<I> | AsyncIterable<I>,
+  mapper: ItemMapper<I, O>,
+  options: CollectionOptions,
+  onValue: (value: O, index: number) => void
+): Promise<void> {
+  const { stopOnError = true, signal, deadline, ...config } = options;
+  const controller = new AbortController();
+  const unlink = linkSignal(controller, signal);
+  const failures: Array<{ index: number; error: Error }> = [];
+  let total = 0;
+
+  const fail = (index: number, error: Error) => {
+    failures.push({ index, error });
+    if (stopOnError && !controller.signal.aborted) {
+      controller.abort(new AbortError(`Stopped after item ${index} failed`));
+    }
+  };
+
+  const runner = new TaskRunner({
+    ...config,
+    concurrency: config.concurrency ?? 3,
+    retainResults: 'none',
+    onResult: result => {
+      total++;
+      if (!result.success) {
+        fail(result.taskIndex, result.error ?? new Error(`Item ${result.taskIndex} failed`));
+        return;
+      }
+      try {
+        onValue(result.result as O, result.taskIndex);
+      } catch (error) {
+        fail(result.taskIndex, error instanceof Error ? error : new Error(String(error)));
+      }
+    }
+  }, createSilentLogger());
+
+  try {
+    await runner.run(toTasks(items, mapper), {
+      signal: controller.signal,
+      ...(deadline !== undefined && { deadline })
+    });
+  } finally {
+    unlink();
+  }
+
+  if (failures.length === 0) return;
+  if (stopOnError) {
+    throw failures[0]!.error;
+  }
+
+  failures.sort((a, b) => a.index - b.index);
+  throw new AggregateTaskError(failures.map(f => f.error), failures.map(f => f.index), total);
+}
+
+function toTasks<I, O>(items: Iterable<I> | AsyncIterable<I>, mapper: ItemMapper<I, O>): TaskInputs<O> {
+  const task = (item: I, index: number) => async (context: TaskContext) => mapper(item, index, context);
+
+  if (typeof (items as AsyncIterable<I>)[Symbol.asyncIterator] === 'function') {
+    return (async function* () {
+      let index = 0;
+      for await (const item of items as AsyncIterable<I>) {
+        yield task(item, index++);
+      }
+    })();
+  }
+
+  return (function* () {
+    let index = 0;
+    for (const item of items as Iterable<I>) {
+      yield task(item, index++);
+    }
+  })();
+}
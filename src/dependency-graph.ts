@@ -0,0 +1,52 @@
+import { TaskMetadata } from './types.js';
+
+/**
+ * Checks that every dependency refers to a known task id, that ids are unique
+ * and that the graph has no cycles. Throws before anything runs otherwise.
+ *
+ * Returns the task positions in a valid execution (topological) order.
+ */
+export function validateDependencyGraph(metadata: TaskMetadata[]): number[] {
+  const indexById = new Map<string, number>();
+
+  metadata.forEach((meta, index) => {
+    if (meta.id === undefined) return;
+    if (indexById.has(meta.id)) {
+      throw new Error(`Duplicate task id in dependency graph: "${meta.id}"`);
+    }
+    indexById.set(meta.id, index);
+  });
+
+  metadata.forEach((meta, index) => {
+    meta.dependencies?.forEach(dependency => {
+      if (!indexById.has(dependency)) {
+        throw new Error(`Task "${meta.id ?? `#${index}`}" depends on unknown task "${dependency}"`);
+      }
+    });
+  });
+
+  const order: number[] = [];
+  const state = new Array<'visiting' | 'done' | undefined>(metadata.length);
+  const path: string[] = [];
+
+  const visit = (index: number): void => {
+    if (state[index] === 'done') return;
+
+    const id = metadata[index]!.id ?? `#${index}`;
+    if (state[index] === 'visiting') {
+      const cycle = path.slice(path.indexOf(id)).concat(id);
+      throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+    }
+
+    state[index] = 'visiting';
+    path.push(id);
+    metadata[index]!.dependencies?.forEach(dependency => visit(indexById.get(dependency)!));
+    path.pop();
+    state[index] = 'done';
+    order.push(index);
+  };
+
+  metadata.forEach((_, index) => visit(index));
+
+  return order;
+}
@@ -1,114 +1,116 @@
 import { TaskRunner } from './task-runner.js';
-import { AsyncTask, TaskConfig, TaskResult, Logger, TaskExecutionSummary, AdvancedTaskOptions, PriorityTask } from './types.js';
+import { AsyncTask, TaskEntry, TaskInput, TaskInputs, TaskConfig, TaskRunnerOptions, TaskResult, Logger, TaskExecutionSummary, AdvancedTaskOptions, PriorityTask, StreamOptions, TaskRecord, TaskResultsOf, KeyedTaskConfig, KeyedTaskExecutionSummary } from './types.js';
 import { DefaultLogger, createSilentLogger } from './logger.js';
 import { AdvancedTaskRunner } from './advanced-task-runner.js';
 
-export async function runTasks<T>(
-  tasks: AsyncTask<T>[],
+function toRunnerOptions(config: TaskConfig): TaskRunnerOptions {
+  return { ...config, concurrency: config.concurrency ?? 3 };
+}
+
+/**
+ * Whether `tasks` is a record of named tasks rather than a list or iterable.
+ * Records run as a list in key order.
+ */
+function isTaskRecord(tasks: TaskInputs | TaskRecord): tasks is TaskRecord {
+  return !Array.isArray(tasks) && !(Symbol.iterator in tasks) && !(Symbol.asyncIterator in tasks);
+}
+
+function keyResults(keys: string[], results: TaskResult[]): Record<string, TaskResult> {
+  return Object.fromEntries(results.map(result => [keys[result.taskIndex], result]));
+}
+
+/**
+ * Runs `tasks` and resolves with their results. A tuple gets each result
+ * typed from its own task, and a record of named tasks gets its results
+ * back under the same names.
+ */
+export function runTasks<const I extends readonly TaskInput[]>(tasks: I, config?: KeyedTaskConfig): Promise<TaskResultsOf<I>>;
+export function runTasks<I extends TaskRecord>(tasks: I, config?: KeyedTaskConfig): Promise<TaskResultsOf<I>>;
+export function runTasks<T>(tasks: TaskInputs<T>, config?: TaskConfig): Promise<TaskResult<T>[]>;
+export async function runTasks(
+  tasks: TaskInputs | TaskRecord,
   config: TaskConfig = {}
-): Promise<TaskResult<T>[]> {
-  const { 
-    concurrency = 3,
-    retries = 0,
-    retryDelay = 1000,
-    exponentialBackoff = false,
-    maxRetryDelay = 30000,
-    timeout
-  } = config;
-  
+): Promise<TaskResult[] | Record<string, TaskResult>> {
   const logger = createSilentLogger();
   
-  const runner = new TaskRunner({ 
-    concurrency,
-    retries,
-    retryDelay,
-    exponentialBackoff,
-    maxRetryDelay,
-    ...(timeout !== undefined && { timeout })
-  }, logger);
+  if (isTaskRecord(tasks)) {
+    const keys = Object.keys(tasks);
+    const runner = new TaskRunner({ ...toRunnerOptions(config), retainResults: 'all' }, logger);
+    
+    return keyResults(keys, await runner.run(keys.map(key => tasks[key]!)));
+  }
+  
+  const runner = new TaskRunner(toRunnerOptions(config), logger);
   
   return runner.run(tasks);
 }
 
 export async function runTasksWithLogging<T>(
-  tasks: AsyncTask<T>[],
+  tasks: TaskInputs<T>,
   config: TaskConfig = {},
   logger?: Logger
 ): Promise<TaskResult<T>[]> {
-  const { 
-    concurrency = 3,
-    retries = 0,
-    retryDelay = 1000,
-    exponentialBackoff = false,
-    maxRetryDelay = 30000,
-    timeout
-  } = config;
-  
   const taskLogger = logger ?? new DefaultLogger(true);
   
-  const runner = new TaskRunner({ 
-    concurrency,
-    retries,
-    retryDelay,
-    exponentialBackoff,
-    maxRetryDelay,
-    ...(timeout !== undefined && { timeout })
-  }, taskLogger);
+  const runner = new TaskRunner(toRunnerOptions(config), taskLogger);
   
   return runner.run(tasks);
 }
 
-export async function runTasksWithSummary<T>(
-  tasks: AsyncTask<T>[],
+/**
+ * Like runTasks(), resolving with an execution summary whose `results` are
+ * typed and keyed like `tasks`.
+ */
+export function runTasksWithSummary<const I extends readonly TaskInput[]>(
+  tasks: I,
+  config?: KeyedTaskConfig
+): Promise<KeyedTaskExecutionSummary<I>>;
+export function runTasksWithSummary<I extends TaskRecord>(
+  tasks: I,
+  config?: KeyedTaskConfig
+): Promise<KeyedTaskExecutionSummary<I>>;
+export function runTasksWithSummary<T>(tasks: TaskInputs<T>, config?: TaskConfig): Promise<TaskExecutionSummary<T>>;
+export async function runTasksWithSummary(
+  tasks: TaskInputs | TaskRecord,
   config: TaskConfig = {}
-): Promise<TaskExecutionSummary<T>> {
-  const { 
-    concurrency = 3,
-    retries = 0,
-    retryDelay = 1000,
-    exponentialBackoff = false,
-    maxRetryDelay = 30000,
-    timeout
-  } = config;
-  
+): Promise<TaskExecutionSummary | KeyedTaskExecutionSummary<TaskRecord>> {
   const logger = createSilentLogger();
   
-  const runner = new TaskRunner({ 
-    concurrency,
-    retries,
-    retryDelay,
-    exponentialBackoff,
-    maxRetryDelay,
-    ...(timeout !== undefined && { timeout })
-  }, logger);
+  if (isTaskRecord(tasks)) {
+    const keys = Object.keys(tasks);
+    const runner = new TaskRunner({ ...toRunnerOptions(config), retainResults: 'all' }, logger);
+    const summary = await runner.runWithSummary(keys.map(key => tasks[key]!));
+    
+    return { ...summary, results: keyResults(keys, summary.results) };
+  }
+  
+  const runner = new TaskRunner(toRunnerOptions(config), logger);
   
   return runner.runWithSummary(tasks);
 }
 
+/**
+ * Runs `tasks` and yields each result as soon as it settles, or in input
+ * order with `ordered`. Breaking out of the loop cancels the run.
+ */
+export function streamTasks<T>(
+  tasks: TaskInput<T>[],
+  config: TaskConfig = {},
+  options: StreamOptions = {}
+): AsyncGenerator<TaskResult<T>, void, undefined> {
+  const runner = new TaskRunner(toRunnerOptions(config), createSilentLogger());
+
+  return runner.stream(tasks, options);
+}
+
 export async function runTasksWithSummaryAndLogging<T>(
-  tasks: AsyncTask<T>[],
+  tasks: TaskInputs<T>,
   config: TaskConfig = {},
   logger?: Logger
 ): Promise<TaskExecutionSummary<T>> {
-  const { 
-    concurrency = 3,
-    retries = 0,
-    retryDelay = 1000,
-    exponentialBackoff = false,
-    maxRetryDelay = 30000,
-    timeout
-  } = config;
-  
   const taskLogger = logger ?? new DefaultLogger(true);
   
-  const runner = new TaskRunner({ 
-    concurrency,
-    retries,
-    retryDelay,
-    exponentialBackoff,
-    maxRetryDelay,
-    ...(timeout !== undefined && { timeout })
-  }, taskLogger);
+  const runner = new TaskRunner(toRunnerOptions(config), taskLogger);
   
   return runner.runWithSummary(tasks);
 }
@@ -120,19 +122,47 @@ export {
   TaskBatch, 
   PriorityTaskQueue 
 } from './advanced-task-runner.js';
+export { validateDependencyGraph } from './dependency-graph.js';
+export { TokenBucket } from './rate-limiter.js';
+export { mapConcurrent, filterConcurrent, forEachConcurrent, reduceConcurrent } from './collections.js';
 
 // Phase 6-8: Enhanced API
 export async function runAdvancedTasks<T>(
-  tasks: AsyncTask<T>[],
+  tasks: Iterable<AsyncTask<T>> | AsyncIterable<AsyncTask<T>>,
   options: AdvancedTaskOptions = {}
 ): Promise<TaskResult<T>[]> {
   const runner = new AdvancedTaskRunner(options);
   
-  tasks.forEach((task, index) => {
-    runner.add(task, { id: `task-${index}`, name: `Task ${index + 1}` });
+  if (Array.isArray(tasks)) {
+    tasks.forEach((task, index) => {
+      runner.add(task, { id: `task-${index}`, name: `Task ${index + 1}` });
+    });
+    
+    return runner.run();
+  }
+  
+  // Reading the source fails the run: nothing more starts, and the error is
+  // thrown once in-flight tasks have finished
+  let failure: { error: unknown } | undefined;
+  const feeding = runner.addFrom(withIds(tasks)).catch(error => {
+    failure = { error };
+    return runner.stop({ drain: true });
   });
+  const results = await runner.run();
+  await feeding;
+  if (failure) {
+    throw failure.error;
+  }
   
-  return runner.run();
+  return results;
+}
+
+async function* withIds<T>(tasks: Iterable<AsyncTask<T>> | AsyncIterable<AsyncTask<T>>): AsyncGenerator<TaskEntry<T>> {
+  let index = 0;
+  for await (const task of tasks) {
+    yield { task, metadata: { id: `task-${index}`, name: `Task ${index + 1}` } };
+    index++;
+  }
 }
 
 export async function runPriorityTasks<T>(
@@ -168,19 +198,52 @@ export async function runTasksInBatches<T>(
 
 // Legacy exports
 export { TaskRunner, DefaultLogger, createSilentLogger };
-export { formatSummary } from './summary.js';
+export { formatSummary, SummaryBuilder } from './summary.js';
+export { TimeoutError, AbortError, NonRetryableError, CircuitOpenError, AggregateTaskError } from './types.js';
 
 // Enhanced type exports for all phases
 export type { 
   // Phase 1-5 types
   AsyncTask, 
+  TaskContext,
+  TaskEntry,
+  TaskInput,
+  TaskInputs,
+  TaskOutput,
+  TaskRecord,
+  TaskResultsOf,
+  KeyedTaskConfig,
+  KeyedTaskExecutionSummary,
   TaskConfig, 
   TaskResult, 
   TaskRunnerOptions, 
+  RunOptions,
+  ResultRetention,
+  ItemMapper,
+  CollectionOptions,
+  ResultConfig,
+  StreamOptions,
+  TaskOverrides,
+  TaskSettings,
   Logger, 
   RetryConfig, 
+  RetryPolicy,
+  JitterStrategy,
+  RateLimitConfig,
+  KeyedConcurrencyConfig,
+  ResourceConfig,
+  AdaptiveConcurrencyConfig,
+  ConcurrencyChange,
+  ConcurrencyChangeReason,
+  ConcurrencySummary,
+  CircuitBreakerConfig,
+  CircuitState,
+  CircuitStateChange,
+  CircuitBreakerSummary,
+  SchedulingConfig,
+  ScheduledTask,
+  TaskSource,
   TimeoutConfig, 
-  TimeoutError, 
   TaskExecutionSummary, 
   ErrorSummary,
   
@@ -188,9 +251,18 @@ export type {
   TaskMetadata,
   PriorityTask,
   BatchConfig,
+  BatchPolicy,
+  TransactionConfig,
   EventHandlers,
   AdvancedTaskOptions,
   QueueStatus,
+  QueueStatistics,
+  StopOptions,
+  TaskState,
+  TaskInfo,
+  TaskFilter,
+  TaskLifecycleHooks,
+  TaskQueueEvents,
   TaskQueue,
   TaskOptions
 } from './types.js';
\ No newline at end of file
@@ -0,0 +1,101 @@
+import { ScheduledTask, TaskInput, TaskInputs, TaskResult, TaskSource } from './types.js';
+
+/**
+ * TaskSource over an iterable or async iterable. A task is read only when the
+ * scheduler asks for one, with at most one read outstanding, so the input is
+ * never materialised. Reading stops at the first error, which is kept in
+ * `error` for the caller to rethrow once in-flight tasks have settled.
+ */
+export class IterableTaskSource<T> implements TaskSource<T> {
+  error: { cause: unknown } | undefined;
+  private readonly iterator: Iterator<TaskInput<T>> | AsyncIterator<TaskInput<T>>;
+  private readonly isAsync: boolean;
+  private buffered: TaskInput<T> | undefined;
+  private reading: Promise<void> | undefined;
+  private exhausted = false;
+  private nextIndex = 0;
+
+  constructor(tasks: TaskInputs<T>, private readonly onSettled: (result: TaskResult<T>) => void) {
+    this.isAsync = Symbol.asyncIterator in tasks;
+    this.iterator = this.isAsync
+      ? (tasks as AsyncIterable<TaskInput<T>>)[Symbol.asyncIterator]()
+      : (tasks as Iterable<TaskInput<T>>)[Symbol.iterator]();
+  }
+
+  next(): ScheduledTask<T> | undefined {
+    const input = this.buffered;
+    if (input !== undefined) {
+      this.buffered = undefined;
+      return this.schedule(input);
+    }
+    if (this.exhausted || this.reading) {
+      return undefined;
+    }
+
+    try {
+      const step = this.iterator.next();
+      if (!this.isAsync) {
+        const result = step as IteratorResult<TaskInput<T>>;
+        this.exhausted = result.done === true;
+        return result.done ? undefined : this.schedule(result.value);
+      }
+      this.reading = Promise.resolve(step).then(
+        result => {
+          this.reading = undefined;
+          if (result.done) {
+            this.exhausted = true;
+          } else {
+            this.buffered = result.value;
+          }
+        },
+        error => {
+          this.reading = undefined;
+          this.fail(error);
+        }
+      );
+    } catch (error) {
+      this.fail(error);
+    }
+    return undefined;
+  }
+
+  isDone(): boolean {
+    return this.exhausted && this.buffered === undefined;
+  }
+
+  settled(_task: ScheduledTask<T>, result: TaskResult<T>): void {
+    this.onSettled(result);
+  }
+
+  waitForTasks(): Promise<void> | undefined {
+    return this.reading;
+  }
+
+  /**
+   * Closes the iterator after an aborted run. Tasks still unread are never
+   * read, so only one already buffered is returned to be skipped.
+   */
+  drain(): ScheduledTask<T>[] {
+    const input = this.buffered;
+    this.buffered = undefined;
+    if (!this.exhausted) {
+      this.exhausted = true;
+      try {
+        void Promise.resolve(this.iterator.return?.()).catch(() => {});
+      } catch {
+        // Closing is best effort; the run has already ended
+      }
+    }
+    return input === undefined ? [] : [this.schedule(input)];
+  }
+
+  private schedule(input: TaskInput<T>): ScheduledTask<T> {
+    const entry = typeof input === 'function' ? { task: input } : input;
+    return { ...entry, taskIndex: this.nextIndex++ };
+  }
+
+  private fail(error: unknown): void {
+    this.error = { cause: error };
+    this.exhausted = true;
+  }
+}
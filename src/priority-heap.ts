@@ -0,0 +1,144 @@
+/**
+ * Binary heap ordered by `compare`, which returns a negative number when `a`
+ * should come out before `b`. Each item's position is tracked so that it can
+ * be removed, or moved after its priority changes, in O(log n). Items must be
+ * unique.
+ */
+export class PriorityHeap<T> {
+  private items: T[] = [];
+  private positions = new Map<T, number>();
+
+  constructor(private readonly compare: (a: T, b: T) => number) {}
+
+  get size(): number {
+    return this.items.length;
+  }
+
+  push(item: T): void {
+    this.items.push(item);
+    this.positions.set(item, this.items.length - 1);
+    this.siftUp(this.items.length - 1);
+  }
+
+  peek(): T | undefined {
+    return this.items[0];
+  }
+
+  pop(): T | undefined {
+    const top = this.items[0];
+    if (top !== undefined) {
+      this.removeAt(0);
+    }
+    return top;
+  }
+
+  has(item: T): boolean {
+    return this.positions.has(item);
+  }
+
+  remove(item: T): boolean {
+    const position = this.positions.get(item);
+    if (position === undefined) {
+      return false;
+    }
+
+    this.removeAt(position);
+    return true;
+  }
+
+  /**
+   * Restores the heap order after `item`'s priority has changed.
+   */
+  update(item: T): boolean {
+    const position = this.positions.get(item);
+    if (position === undefined) {
+      return false;
+    }
+
+    this.siftDown(this.siftUp(position));
+    return true;
+  }
+
+  /**
+   * Returns the first item in heap order that passes `predicate`, without
+   * removing it. Scans every item.
+   */
+  find(predicate: (item: T) => boolean): T | undefined {
+    let best: T | undefined;
+    this.items.forEach(item => {
+      if (predicate(item) && (best === undefined || this.compare(item, best) < 0)) {
+        best = item;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Items in no particular order.
+   */
+  values(): T[] {
+    return [...this.items];
+  }
+
+  /**
+   * Items in the order pop() would return them.
+   */
+  toArray(): T[] {
+    return [...this.items].sort(this.compare);
+  }
+
+  clear(): void {
+    this.items = [];
+    this.positions.clear();
+  }
+
+  private removeAt(position: number): void {
+    const removed = this.items[position]!;
+    const last = this.items.pop()!;
+    this.positions.delete(removed);
+
+    if (position < this.items.length) {
+      this.items[position] = last;
+      this.positions.set(last, position);
+      this.siftDown(this.siftUp(position));
+    }
+  }
+
+  private siftUp(position: number): number {
+    while (position > 0) {
+      const parent = (position - 1) >> 1;
+      if (this.compare(this.items[position]!, this.items[parent]!) >= 0) break;
+      this.swap(position, parent);
+      position = parent;
+    }
+    return position;
+  }
+
+  private siftDown(position: number): number {
+    for (;;) {
+      const left = position * 2 + 1;
+      const right = left + 1;
+      let first = position;
+
+      if (left < this.items.length && this.compare(this.items[left]!, this.items[first]!) < 0) {
+        first = left;
+      }
+      if (right < this.items.length && this.compare(this.items[right]!, this.items[first]!) < 0) {
+        first = right;
+      }
+      if (first === position) return position;
+
+      this.swap(position, first);
+      position = first;
+    }
+  }
+
+  private swap(a: number, b: number): void {
+    const itemA = this.items[a]!;
+    const itemB = this.items[b]!;
+    this.items[a] = itemB;
+    this.items[b] = itemA;
+    this.positions.set(itemA, b);
+    this.positions.set(itemB, a);
+  }
+}
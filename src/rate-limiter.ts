@@ -0,0 +1,112 @@
+import { RateLimitConfig } from './types.js';
+
+interface Waiter {
+  resolve: () => void;
+  signal?: AbortSignal;
+  onAbort?: () => void;
+}
+
+/**
+ * Token bucket that refills `tokens` every `interval` ms up to `burst`
+ * (defaults to `tokens`). Waiters are served in FIFO order.
+ */
+export class TokenBucket {
+  private readonly capacity: number;
+  private readonly refillPerMs: number;
+  private available: number;
+  private lastRefill: number;
+  private readonly waiters: Waiter[] = [];
+  private timer: NodeJS.Timeout | undefined;
+
+  constructor(config: RateLimitConfig) {
+    if (!(config.tokens > 0) || !(config.interval > 0)) {
+      throw new Error('rateLimit requires positive tokens and interval');
+    }
+
+    this.capacity = Math.max(1, config.burst ?? config.tokens);
+    this.refillPerMs = config.tokens / config.interval;
+    this.available = this.capacity;
+    this.lastRefill = performance.now();
+  }
+
+  /**
+   * Resolves with the time spent waiting (ms) once a token has been taken.
+   * Rejects with the signal's reason if it aborts first.
+   */
+  async acquire(signal?: AbortSignal): Promise<number> {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+
+    if (this.waiters.length === 0 && this.tryTake()) {
+      return 0;
+    }
+
+    const startTime = performance.now();
+
+    await new Promise<void>((resolve, reject) => {
+      const waiter: Waiter = { resolve };
+
+      if (signal) {
+        waiter.signal = signal;
+        waiter.onAbort = () => {
+          this.waiters.splice(this.waiters.indexOf(waiter), 1);
+          if (this.waiters.length === 0 && this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+          }
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      this.waiters.push(waiter);
+      this.schedule();
+    });
+
+    return performance.now() - startTime;
+  }
+
+  private refill(): void {
+    const now = performance.now();
+    this.available = Math.min(this.capacity, this.available + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  private tryTake(): boolean {
+    this.refill();
+
+    if (this.available >= 1) {
+      this.available -= 1;
+      return true;
+    }
+
+    return false;
+  }
+
+  private schedule(): void {
+    if (this.timer || this.waiters.length === 0) {
+      return;
+    }
+
+    this.refill();
+    const waitMs = Math.max(0, Math.ceil((1 - this.available) / this.refillPerMs));
+
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.drain();
+    }, waitMs);
+  }
+
+  private drain(): void {
+    while (this.waiters.length > 0 && this.tryTake()) {
+      const waiter = this.waiters.shift()!;
+      if (waiter.onAbort) {
+        waiter.signal!.removeEventListener('abort', waiter.onAbort);
+      }
+      waiter.resolve();
+    }
+
+    this.schedule();
+  }
+}
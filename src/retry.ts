@@ -0,0 +1,65 @@
+import { RetryConfig, TaskContext, NonRetryableError, AbortError } from './types.js';
+
+/**
+ * Decides whether a failed attempt should be retried. NonRetryableError and
+ * AbortError always stop; everything else goes through `retryPolicy.shouldRetry`.
+ */
+export function shouldRetryError(
+  error: Error,
+  attempt: number,
+  context: TaskContext,
+  config: RetryConfig
+): boolean {
+  if (error instanceof NonRetryableError || error instanceof AbortError) {
+    return false;
+  }
+
+  const shouldRetry = config.retryPolicy?.shouldRetry;
+  return shouldRetry ? shouldRetry(error, attempt, context) : true;
+}
+
+/**
+ * Delay before the retry that follows `attempt`.
+ *
+ * Without a policy this is `retryDelay`, doubled per attempt and capped at
+ * `maxRetryDelay` when `exponentialBackoff` is set. Jitter strategies follow
+ * the usual definitions: `full` picks from [0, d], `equal` from [d/2, d], and
+ * `decorrelated` from [retryDelay, previousDelay * 3] capped at `maxRetryDelay`.
+ */
+export function calculateRetryDelay(
+  attempt: number,
+  error: Error,
+  previousDelay: number | undefined,
+  config: RetryConfig
+): number {
+  const baseDelay = config.retryDelay ?? 1000;
+  const maxDelay = config.maxRetryDelay ?? 30000;
+  const policy = config.retryPolicy;
+
+  if (policy?.delay) {
+    return Math.max(0, policy.delay(attempt, error, previousDelay));
+  }
+
+  switch (policy?.jitter ?? 'none') {
+    case 'full':
+      return Math.random() * backoffDelay(attempt, baseDelay, maxDelay, config.exponentialBackoff);
+    case 'equal': {
+      const delay = backoffDelay(attempt, baseDelay, maxDelay, config.exponentialBackoff);
+      return delay / 2 + Math.random() * (delay / 2);
+    }
+    case 'decorrelated': {
+      const upper = (previousDelay ?? baseDelay) * 3;
+      return Math.min(maxDelay, baseDelay + Math.random() * (upper - baseDelay));
+    }
+    case 'none':
+      return backoffDelay(attempt, baseDelay, maxDelay, config.exponentialBackoff);
+  }
+}
+
+function backoffDelay(attempt: number, baseDelay: number, maxDelay: number, exponential?: boolean): number {
+  if (!exponential) {
+    return baseDelay;
+  }
+
+  return Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+}
@@ -0,0 +1,206 @@
+import { KeyedConcurrencyConfig, ResourceConfig, TaskMetadata } from './types.js';
+
+/**
+ * What a task holds while it runs: `weight` units of `concurrency`, a slot
+ * for its key and an amount from each named resource pool.
+ */
+export interface TaskDemand {
+  key: string | undefined;
+  weight: number;
+  resources: Array<[name: string, amount: number]>;
+}
+
+/**
+ * Tracks in-flight tasks against the global concurrency limit, the
+ * optional per-key limits derived from `concurrencyKey(metadata)` and the
+ * named `resources` pools. The global limit is read from `limit()` so it can
+ * change during a run; `concurrency` is its ceiling. A task acquires everything it needs at once or
+ * nothing, so no task ever holds part of its demand while waiting for the
+ * rest and tasks cannot deadlock on each other.
+ */
+export class ConcurrencyLimiter {
+  private running = 0;
+  private readonly runningByKey = new Map<string, number>();
+  private readonly inUse = new Map<string, number>();
+
+  constructor(
+    private readonly concurrency: number,
+    private readonly config: KeyedConcurrencyConfig & ResourceConfig = {},
+    private readonly limit: () => number = () => concurrency
+  ) {
+    Object.entries(config.keyConcurrency ?? {}).forEach(([key, limit]) => {
+      if (!(limit >= 1)) {
+        throw new Error(`keyConcurrency for "${key}" must be at least 1`);
+      }
+    });
+
+    if (config.defaultKeyConcurrency !== undefined && !(config.defaultKeyConcurrency >= 1)) {
+      throw new Error('defaultKeyConcurrency must be at least 1');
+    }
+
+    Object.entries(config.resources ?? {}).forEach(([name, size]) => {
+      if (!(size > 0)) {
+        throw new Error(`Resource pool "${name}" must be positive`);
+      }
+    });
+  }
+
+  get size(): number {
+    return this.running;
+  }
+
+  hasCapacity(): boolean {
+    return this.running < this.limit();
+  }
+
+  demandOf(metadata?: TaskMetadata): TaskDemand {
+    return {
+      key: this.config.concurrencyKey?.(metadata ?? {}),
+      weight: metadata?.weight ?? 1,
+      resources: Object.entries(metadata?.resources ?? {}).filter(([, amount]) => amount !== 0),
+    };
+  }
+
+  /**
+   * Returns why `demand` could never be met by this limiter, if that is the
+   * case, so the task can fail instead of waiting forever.
+   */
+  validate(demand: TaskDemand): Error | undefined {
+    if (!(demand.weight > 0)) {
+      return new Error(`Task weight must be positive, got ${demand.weight}`);
+    }
+    if (demand.weight > this.concurrency) {
+      return new Error(`Task weight ${demand.weight} exceeds concurrency ${this.concurrency}`);
+    }
+
+    for (const [name, amount] of demand.resources) {
+      const size = this.config.resources?.[name];
+      if (size === undefined) {
+        return new Error(`Unknown resource "${name}"`);
+      }
+      if (!(amount > 0) || amount > size) {
+        return new Error(`Task needs ${amount} of resource "${name}", which has ${size}`);
+      }
+    }
+
+    return undefined;
+  }
+
+  canStart(demand: TaskDemand): boolean {
+    return this.keyHasRoom(demand.key) && this.hasRoomFor(demand);
+  }
+
+  keyHasRoom(key: string | undefined): boolean {
+    const limit = this.limitFor(key);
+    return limit === undefined || (this.runningByKey.get(key!) ?? 0) < limit;
+  }
+
+  /**
+   * Whether `demand`'s weight and resources fit in what is free right now,
+   * regardless of its key. A task heavier than the current limit can still
+   * run on its own.
+   */
+  hasRoomFor(demand: TaskDemand): boolean {
+    return (this.running === 0 || this.running + demand.weight <= this.limit()) &&
+      demand.resources.every(([name, amount]) =>
+        (this.inUse.get(name) ?? 0) + amount <= this.config.resources![name]!
+      );
+  }
+
+  acquire(demand: TaskDemand): void {
+    this.running += demand.weight;
+    if (demand.key !== undefined) {
+      this.runningByKey.set(demand.key, (this.runningByKey.get(demand.key) ?? 0) + 1);
+    }
+    demand.resources.forEach(([name, amount]) => {
+      this.inUse.set(name, (this.inUse.get(name) ?? 0) + amount);
+    });
+  }
+
+  release(demand: TaskDemand): void {
+    this.running -= demand.weight;
+    if (demand.key !== undefined) {
+      const count = (this.runningByKey.get(demand.key) ?? 1) - 1;
+      if (count > 0) {
+        this.runningByKey.set(demand.key, count);
+      } else {
+        this.runningByKey.delete(demand.key);
+      }
+    }
+    demand.resources.forEach(([name, amount]) => {
+      this.inUse.set(name, (this.inUse.get(name) ?? amount) - amount);
+    });
+  }
+
+  private limitFor(key: string | undefined): number | undefined {
+    if (key === undefined) {
+      return undefined;
+    }
+
+    return this.config.keyConcurrency?.[key] ?? this.config.defaultKeyConcurrency;
+  }
+}
+
+/**
+ * Tasks pulled from a source that could not start yet, kept in one FIFO per
+ * key so the scheduler can start work for another key in the meantime.
+ */
+export class PendingBuffer<T> {
+  private readonly queues = new Map<string | undefined, Array<{ sequence: number; item: T }>>();
+  private sequence = 0;
+  private count = 0;
+
+  get size(): number {
+    return this.count;
+  }
+
+  push(key: string | undefined, item: T): void {
+    let queue = this.queues.get(key);
+    if (!queue) {
+      queue = [];
+      this.queues.set(key, queue);
+    }
+    queue.push({ sequence: this.sequence++, item });
+    this.count++;
+  }
+
+  /**
+   * Removes and returns the oldest item at the head of its key's FIFO that
+   * passes `canStart`.
+   */
+  take(canStart: (key: string | undefined, item: T) => boolean): { key: string | undefined; item: T } | undefined {
+    let bestKey: string | undefined;
+    let bestSequence = Infinity;
+
+    this.queues.forEach((queue, key) => {
+      const head = queue[0];
+      if (head && head.sequence < bestSequence && canStart(key, head.item)) {
+        bestKey = key;
+        bestSequence = head.sequence;
+      }
+    });
+
+    if (bestSequence === Infinity) {
+      return undefined;
+    }
+
+    const queue = this.queues.get(bestKey)!;
+    const { item } = queue.shift()!;
+    if (queue.length === 0) {
+      this.queues.delete(bestKey);
+    }
+    this.count--;
+
+    return { key: bestKey, item };
+  }
+
+  drain(): T[] {
+    const items = Array.from(this.queues.values())
+      .flat()
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(({ item }) => item);
+    this.queues.clear();
+    this.count = 0;
+    return items;
+  }
+}
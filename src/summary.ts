@@ -1,111 +1,164 @@
-import { TaskResult, ErrorSummary, TaskExecutionSummary, TimeoutError } from './types.js';
+import {
+  TaskResult,
+  ErrorSummary,
+  TaskExecutionSummary,
+  TimeoutError,
+  CircuitOpenError,
+  ConcurrencySummary,
+  CircuitBreakerSummary,
+  ResultRetention
+} from './types.js';
+
+/**
+ * What a runner recorded during a run beyond the results themselves.
+ */
+export interface RunActivity {
+  concurrency?: ConcurrencySummary;
+  circuitBreaker?: Omit<CircuitBreakerSummary, 'rejected'>;
+}
 
 export function generateExecutionSummary<T>(
   results: TaskResult<T>[],
   startTime: Date,
-  endTime: Date
+  endTime: Date,
+  activity: RunActivity = {}
 ): TaskExecutionSummary<T> {
-  const successful = results.filter(r => r.success);
-  const failed = results.filter(r => !r.success);
-  const timedOut = results.filter(r => r.timedOut);
+  const builder = new SummaryBuilder<T>();
+  results.forEach(result => builder.add(result));
   
-  const totalRetries = results.reduce((sum, r) => sum + (r.retryHistory?.length || 0), 0);
+  return builder.build(startTime, endTime, activity);
+}
+
+interface ErrorTally {
+  type: 'error' | 'timeout';
+  message: string;
+  count: number;
+  taskIndexes: number[];
+  first: number;
+  last: number;
+}
+
+/**
+ * Builds a TaskExecutionSummary one result at a time. Counts, durations and
+ * the error breakdown cover every result added, but only the results that
+ * `retain` asks for are kept, so long runs don't hold on to every payload.
+ */
+export class SummaryBuilder<T = any> {
+  /** Retained results, in the order they were added */
+  readonly results: TaskResult<T>[] = [];
+  private total = 0;
+  private success = 0;
+  private failed = 0;
+  private timedOut = 0;
+  private softTimeouts = 0;
+  private skipped = 0;
+  private cancelled = 0;
+  private retries = 0;
+  private rateLimitWait = 0;
+  private totalDuration = 0;
+  private timedResults = 0;
+  private circuitRejected = 0;
+  private readonly errors = new Map<string, ErrorTally>();
   
-  const durations = results
-    .map(r => r.duration)
-    .filter((d): d is number => d !== undefined);
+  constructor(private readonly retain: ResultRetention = 'all') {}
   
-  const totalDuration = durations.reduce((sum, d) => sum + d, 0);
-  const averageDuration = durations.length > 0 ? totalDuration / durations.length : 0;
+  add(result: TaskResult<T>): void {
+    this.total++;
+    this.retries += result.retryHistory?.length || 0;
+    this.rateLimitWait += result.rateLimitWait || 0;
+    this.softTimeouts += result.softTimeouts ?? 0;
+    if (result.timedOut) this.timedOut++;
+    if (result.error instanceof CircuitOpenError) this.circuitRejected++;
+    if (result.duration !== undefined) {
+      this.totalDuration += result.duration;
+      this.timedResults++;
+    }
+    
+    if (result.success) {
+      this.success++;
+    } else if (result.skipped) {
+      this.skipped++;
+    } else if (result.cancelled) {
+      this.cancelled++;
+    } else {
+      this.failed++;
+      this.recordErrors(result);
+    }
+    
+    if (this.retain === 'all' || (this.retain === 'failures' && !result.success)) {
+      this.results.push(result);
+    }
+  }
   
-  const errors = aggregateErrors(failed);
+  build(startTime: Date, endTime: Date, activity: RunActivity = {}): TaskExecutionSummary<T> {
+    const errors: ErrorSummary[] = Array.from(this.errors.values()).map(error => ({
+      type: error.type,
+      message: error.message,
+      count: error.count,
+      taskIndexes: [...error.taskIndexes].sort((a, b) => a - b),
+      firstOccurrence: new Date(error.first),
+      lastOccurrence: new Date(error.last)
+    })).sort((a, b) => b.count - a.count); // Sort by frequency
+    
+    return {
+      total: this.total,
+      success: this.success,
+      failed: this.failed,
+      timedOut: this.timedOut,
+      softTimeouts: this.softTimeouts,
+      skipped: this.skipped,
+      cancelled: this.cancelled,
+      retries: this.retries,
+      rateLimitWait: this.rateLimitWait,
+      totalDuration: this.totalDuration,
+      averageDuration: this.timedResults > 0 ? this.totalDuration / this.timedResults : 0,
+      results: this.results,
+      errors,
+      startTime,
+      endTime,
+      executionTime: endTime.getTime() - startTime.getTime(),
+      ...(activity.concurrency !== undefined && { concurrency: activity.concurrency }),
+      ...(activity.circuitBreaker !== undefined && {
+        circuitBreaker: { ...activity.circuitBreaker, rejected: this.circuitRejected }
+      })
+    };
+  }
   
-  return {
-    success: successful.length,
-    failed: failed.length,
-    timedOut: timedOut.length,
-    retries: totalRetries,
-    totalDuration,
-    averageDuration,
-    results,
-    errors,
-    startTime,
-    endTime,
-    executionTime: endTime.getTime() - startTime.getTime()
-  };
-}
-
-function aggregateErrors<T>(failedResults: TaskResult<T>[]): ErrorSummary[] {
-  const errorMap = new Map<string, {
-    type: 'error' | 'timeout';
-    message: string;
-    count: number;
-    taskIndexes: number[];
-    timestamps: Date[];
-  }>();
-
-  failedResults.forEach(result => {
+  /**
+   * Counts a failed task's final error and the errors of its retried
+   * attempts. A task is listed once per distinct retry error.
+   */
+  private recordErrors(result: TaskResult<T>): void {
     if (!result.error) return;
     
     const isTimeout = result.error instanceof TimeoutError || result.timedOut;
-    const type = isTimeout ? 'timeout' : 'error';
-    const message = result.error.message;
-    const key = `${type}:${message}`;
+    this.tally(isTimeout ? 'timeout' : 'error', result.error.message, result.taskIndex, Date.now(), false);
     
-    if (!errorMap.has(key)) {
-      errorMap.set(key, {
-        type,
-        message,
-        count: 0,
-        taskIndexes: [],
-        timestamps: []
-      });
+    result.retryHistory?.forEach(retry => {
+      const retryIsTimeout = retry.error instanceof TimeoutError || retry.timedOut;
+      this.tally(retryIsTimeout ? 'timeout' : 'error', retry.error.message, result.taskIndex, retry.timestamp.getTime(), true);
+    });
+  }
+  
+  private tally(type: 'error' | 'timeout', message: string, taskIndex: number, at: number, unique: boolean): void {
+    const key = `${type}:${message}`;
+    let error = this.errors.get(key);
+    if (!error) {
+      error = { type, message, count: 0, taskIndexes: [], first: at, last: at };
+      this.errors.set(key, error);
     }
     
-    const errorData = errorMap.get(key)!;
-    errorData.count++;
-    errorData.taskIndexes.push(result.taskIndex);
-    errorData.timestamps.push(new Date());
-    
-    // Also process retry history errors
-    if (result.retryHistory) {
-      result.retryHistory.forEach(retry => {
-        const retryIsTimeout = retry.error instanceof TimeoutError || retry.timedOut;
-        const retryType = retryIsTimeout ? 'timeout' : 'error';
-        const retryMessage = retry.error.message;
-        const retryKey = `${retryType}:${retryMessage}`;
-        
-        if (!errorMap.has(retryKey)) {
-          errorMap.set(retryKey, {
-            type: retryType,
-            message: retryMessage,
-            count: 0,
-            taskIndexes: [],
-            timestamps: []
-          });
-        }
-        
-        const retryErrorData = errorMap.get(retryKey)!;
-        retryErrorData.count++;
-        if (!retryErrorData.taskIndexes.includes(result.taskIndex)) {
-          retryErrorData.taskIndexes.push(result.taskIndex);
-        }
-        retryErrorData.timestamps.push(retry.timestamp);
-      });
+    error.count++;
+    error.first = Math.min(error.first, at);
+    error.last = Math.max(error.last, at);
+    // A task's errors are tallied together, so if it is listed already it is the last entry
+    if (!unique || error.taskIndexes[error.taskIndexes.length - 1] !== taskIndex) {
+      error.taskIndexes.push(taskIndex);
     }
-  });
-
-  return Array.from(errorMap.values()).map(errorData => ({
-    type: errorData.type,
-    message: errorData.message,
-    count: errorData.count,
-    taskIndexes: errorData.taskIndexes.sort((a, b) => a - b),
-    firstOccurrence: new Date(Math.min(...errorData.timestamps.map(t => t.getTime()))),
-    lastOccurrence: new Date(Math.max(...errorData.timestamps.map(t => t.getTime())))
-  })).sort((a, b) => b.count - a.count); // Sort by frequency
+  }
 }
 
-export function formatSummary<T>(summary: TaskExecutionSummary<T>): string {
+export function formatSummary<T>(summary: Omit<TaskExecutionSummary<T>, 'results'>): string {
   const lines: string[] = [];
   
   lines.push('📊 Task Execution Summary');
@@ -117,6 +170,19 @@ export function formatSummary<T>(summary: TaskExecutionSummary<T>): string {
   lines.push(`   ✅ Successful: ${summary.success}`);
   lines.push(`   ❌ Failed: ${summary.failed}`);
   lines.push(`   ⏰ Timed out: ${summary.timedOut}`);
+  if (summary.softTimeouts > 0) {
+    lines.push(`   🐢 Soft timeouts: ${summary.softTimeouts}`);
+  }
+  if (summary.skipped > 0) {
+    lines.push(`   ⏭️  Skipped: ${summary.skipped}`);
+  }
+  if (summary.cancelled > 0) {
+    lines.push(`   🚫 Cancelled: ${summary.cancelled}`);
+  }
+  if (summary.circuitBreaker) {
+    const { opened, halfOpened, closed, rejected } = summary.circuitBreaker;
+    lines.push(`   🔌 Circuit breaker: ${rejected} rejected (opened ${opened}, half-opened ${halfOpened}, closed ${closed})`);
+  }
   lines.push(`   🔄 Total retries: ${summary.retries}`);
   lines.push('');
   
@@ -125,6 +191,13 @@ export function formatSummary<T>(summary: TaskExecutionSummary<T>): string {
   lines.push(`   📊 Total duration: ${summary.totalDuration.toFixed(2)}ms`);
   lines.push(`   📊 Average duration: ${summary.averageDuration.toFixed(2)}ms`);
   lines.push(`   ⏱️  Execution time: ${summary.executionTime}ms`);
+  if (summary.rateLimitWait > 0) {
+    lines.push(`   🚦 Rate limit wait: ${summary.rateLimitWait.toFixed(2)}ms`);
+  }
+  if (summary.concurrency) {
+    const { initial, final, lowest, highest, changes } = summary.concurrency;
+    lines.push(`   🎚️  Concurrency: ${initial} → ${final} (range ${lowest}-${highest}, ${changes.length} changes)`);
+  }
   lines.push(`   🕐 Started: ${summary.startTime.toISOString()}`);
   lines.push(`   🕐 Ended: ${summary.endTime.toISOString()}`);
   lines.push('');
@@ -1,199 +1,869 @@
-import { AsyncTask, TaskResult, TaskRunnerOptions, Logger, TimeoutError, TaskExecutionSummary } from './types.js';
+import {
+  AsyncTask,
+  TaskInput,
+  TaskInputs,
+  TaskMetadata,
+  TaskContext,
+  TaskResult,
+  TaskRunnerOptions,
+  RunOptions,
+  StreamOptions,
+  ScheduledTask,
+  TaskSource,
+  Logger,
+  TimeoutError,
+  AbortError,
+  TaskExecutionSummary,
+  TaskLifecycleHooks,
+  TaskOverrides,
+  TaskSettings,
+  CircuitOpenError
+} from './types.js';
 import { DefaultLogger } from './logger.js';
-import { withTimeout } from './timeout.js';
-import { generateExecutionSummary } from './summary.js';
+import { withTimeout, createAbortableTask, linkSignal } from './timeout.js';
+import { generateExecutionSummary, RunActivity, SummaryBuilder } from './summary.js';
+import { shouldRetryError, calculateRetryDelay } from './retry.js';
+import { TokenBucket } from './rate-limiter.js';
+import { ConcurrencyLimiter, PendingBuffer, TaskDemand } from './scheduler.js';
+import { AdaptiveConcurrency } from './adaptive-concurrency.js';
+import { CircuitBreaker, CircuitPermit } from './circuit-breaker.js';
+import { IterableTaskSource } from './iterable-source.js';
+
+/**
+ * A task's claim on a concurrency slot. With `requeueRetries` the slot is
+ * released while the task waits out its backoff and reacquired afterwards.
+ */
+interface TaskSlot {
+  release(): void;
+  reacquire(signal: AbortSignal): Promise<void>;
+}
+
+/**
+ * A rate limiter and circuit breaker built once and handed to several
+ * runners, so that together they stay within one limit and trip the same
+ * circuits.
+ */
+export interface SharedLimits {
+  rateLimiter?: TokenBucket;
+  breaker?: CircuitBreaker;
+}
 
 export class TaskRunner {
   private readonly options: TaskRunnerOptions;
   private readonly logger: Logger;
+  private readonly runControllers = new Set<AbortController>();
+  private readonly rateLimiter: TokenBucket | undefined;
+  private readonly adaptive: AdaptiveConcurrency | undefined;
+  private readonly breaker: CircuitBreaker | undefined;
 
-  constructor(options: TaskRunnerOptions, logger?: Logger) {
+  constructor(options: TaskRunnerOptions, logger?: Logger, shared: SharedLimits = {}) {
     this.options = {
+      ...options,
       concurrency: Math.max(1, options.concurrency || 1),
       retries: options.retries ?? 0,
       retryDelay: options.retryDelay ?? 1000,
       exponentialBackoff: options.exponentialBackoff ?? false,
       maxRetryDelay: options.maxRetryDelay ?? 30000,
-      ...(options.timeout !== undefined && { timeout: options.timeout }),
     };
     this.logger = logger ?? new DefaultLogger(false);
+    this.rateLimiter = shared.rateLimiter ?? (options.rateLimit ? new TokenBucket(options.rateLimit) : undefined);
+
+    const { adaptiveConcurrency } = options;
+    this.adaptive = adaptiveConcurrency
+      ? new AdaptiveConcurrency(
+          this.options.concurrency,
+          adaptiveConcurrency === true ? {} : adaptiveConcurrency,
+          change => {
+            this.logger.info(`Concurrency ${change.previous} -> ${change.limit} (${change.reason})`);
+            this.notify('onConcurrencyChange', change);
+          }
+        )
+      : undefined;
+
+    this.breaker = shared.breaker ?? (options.circuitBreaker
+      ? new CircuitBreaker(options.circuitBreaker, change => {
+          this.logger.warn(`Circuit "${change.key}" ${change.from} -> ${change.to}`);
+          this.notify('onCircuitStateChange', change);
+        })
+      : undefined);
   }
 
-  private calculateRetryDelay(attempt: number, baseDelay: number): number {
-    if (!this.options.exponentialBackoff) {
-      return baseDelay;
-    }
+  /**
+   * The current concurrency limit, which moves during runs with
+   * `adaptiveConcurrency`.
+   */
+  get concurrency(): number {
+    return this.adaptive?.limit ?? this.options.concurrency;
+  }
 
-    const exponentialDelay = baseDelay * Math.pow(2, attempt - 1);
-    return Math.min(exponentialDelay, this.options.maxRetryDelay!);
+  private async delay(ms: number, signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(signal!.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
-  private async delay(ms: number): Promise<void> {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * Aborts every in-flight task of the current run(s) through their context
+   * signal. Tasks that have not started yet are not started.
+   */
+  abort(reason: Error = new AbortError('Task runner was aborted')): void {
+    this.runControllers.forEach(controller => controller.abort(reason));
   }
 
-  async run<T>(tasks: AsyncTask<T>[]): Promise<TaskResult<T>[]> {
-    if (tasks.length === 0) {
+  /**
+   * Runs `tasks` and resolves with their results in input order, or only
+   * the ones `retainResults` keeps. An iterable or async iterable is read
+   * one task at a time as slots free up; tasks it had not yielded when the
+   * run was aborted are not read at all. If reading it throws, no more tasks
+   * start and the error is rethrown once in-flight tasks have settled.
+   */
+  async run<T>(tasks: TaskInputs<T>, options: RunOptions = {}): Promise<TaskResult<T>[]> {
+    if (Array.isArray(tasks) && tasks.length === 0) {
       return [];
     }
 
+    const summary = await this.runAndSummarize(tasks, options);
+    return summary.results;
+  }
+
+  /**
+   * Runs `tasks`, handing each result to `onResult` as it settles and
+   * summarizing as it goes, so only the results `retainResults` keeps are
+   * held in memory.
+   */
+  private async runAndSummarize<T>(tasks: TaskInputs<T>, options: RunOptions): Promise<TaskExecutionSummary<T>> {
     const startTime = new Date();
+    const builder = new SummaryBuilder<T>(this.options.retainResults);
+    const record = (result: TaskResult<T>) => {
+      try {
+        this.options.onResult?.(result);
+      } catch (error) {
+        this.logger.error(`onResult failed for task ${result.taskIndex}: ${toError(error).message}`);
+      }
+      builder.add(result);
+    };
+
+    if (Array.isArray(tasks)) {
+      let currentIndex = 0;
 
-    const results: TaskResult<T>[] = new Array(tasks.length);
-    const executing: Set<Promise<void>> = new Set();
+      await this.runSource<T>({
+        next: () => currentIndex < tasks.length
+          ? { ...normalizeTask(tasks[currentIndex]!), taskIndex: currentIndex++ }
+          : undefined,
+        isDone: () => currentIndex >= tasks.length,
+        settled: (_, result) => record(result),
+      }, options);
+    } else {
+      const source = new IterableTaskSource<T>(tasks, record);
+
+      await this.runSource(source, options);
+      if (source.error) {
+        throw source.error.cause;
+      }
+    }
+
+    builder.results.sort((a, b) => a.taskIndex - b.taskIndex);
+    const summary = builder.build(startTime, new Date(), this.summarizeRun(startTime));
+
+    this.logger.info(`Task execution completed: ${summary.success} successful, ${summary.failed} failed, ${summary.retries} total retries`);
+    if (summary.skipped > 0) {
+      this.logger.warn(`${summary.skipped} tasks were skipped because the run ended early`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Runs `tasks` and yields each result as soon as it settles, or in input
+   * order with `ordered`. Nothing starts until iteration begins, and
+   * breaking out of the loop early aborts the run.
+   */
+  async *stream<T>(tasks: TaskInput<T>[], options: StreamOptions = {}): AsyncGenerator<TaskResult<T>, void, undefined> {
+    const { ordered = false, bufferSize = 100, ...runOptions } = options;
+    if (!(bufferSize >= 1)) {
+      throw new Error('bufferSize must be at least 1');
+    }
+
+    const controller = new AbortController();
+    const unlink = linkSignal(controller, runOptions.signal);
+    const ready: TaskResult<T>[] = [];
+    const held = new Map<number, TaskResult<T>>();
+    let nextInOrder = 0;
     let currentIndex = 0;
+    let roomWaiters: Array<() => void> = [];
+    let wakeConsumer: () => void = () => {};
 
-    const executeTaskWithRetry = async (taskIndex: number): Promise<void> => {
-      const task = tasks[taskIndex]!;
-      const maxAttempts = (this.options.retries || 0) + 1;
-      const retryHistory: Array<{ 
-        attempt: number; 
-        error: Error; 
-        timestamp: Date; 
-        delay: number;
-        duration?: number;
-        timedOut?: boolean;
-      }> = [];
-      
-      let lastError: Error = new Error('Unknown error');
-      let totalDuration = 0;
-      
-      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-        const attemptStartTime = performance.now();
-        
-        try {
-          if (attempt > 1) {
-            const retryDelay = this.calculateRetryDelay(attempt - 1, this.options.retryDelay!);
-            this.logger.info(`Task ${taskIndex}: Retrying attempt ${attempt}/${maxAttempts} after ${retryDelay}ms delay`);
-            await this.delay(retryDelay);
-          }
+    const schedule = (): ScheduledTask<T> => ({ ...normalizeTask(tasks[currentIndex]!), taskIndex: currentIndex++ });
 
-          let result: T;
-          let attemptDuration: number;
-
-          if (this.options.timeout) {
-            const outcome = await withTimeout(task, this.options.timeout);
-            
-            if (outcome.timedOut) {
-              attemptDuration = outcome.duration;
-              throw outcome.error;
-            } else {
-              result = outcome.result;
-              attemptDuration = outcome.duration;
-            }
-          } else {
-            result = await task();
-            attemptDuration = performance.now() - attemptStartTime;
+    const source: TaskSource<T> = {
+      next: () => currentIndex < tasks.length && ready.length + held.size < bufferSize
+        ? schedule()
+        : undefined,
+      isDone: () => currentIndex >= tasks.length,
+      settled: (_, result) => {
+        if (ordered) {
+          held.set(result.taskIndex, result);
+          for (let head = held.get(nextInOrder); head; head = held.get(nextInOrder)) {
+            held.delete(nextInOrder++);
+            ready.push(head);
           }
+        } else {
+          ready.push(result);
+        }
+        wakeConsumer();
+      },
+      waitForTasks: () => new Promise<void>(resolve => roomWaiters.push(resolve)),
+      drain: () => {
+        const remaining: ScheduledTask<T>[] = [];
+        while (currentIndex < tasks.length) {
+          remaining.push(schedule());
+        }
+        return remaining;
+      },
+    };
 
-          totalDuration += attemptDuration;
-          
-          if (attempt > 1) {
-            this.logger.info(`Task ${taskIndex}: Succeeded on attempt ${attempt}/${maxAttempts} (${attemptDuration.toFixed(2)}ms)`);
-          }
+    let finished = false;
+    let failure: { error: unknown } | undefined;
+    const run = this.runSource(source, { ...runOptions, signal: controller.signal }).then(
+      () => {
+        finished = true;
+        wakeConsumer();
+      },
+      error => {
+        failure = { error };
+        finished = true;
+        wakeConsumer();
+      }
+    );
+
+    try {
+      for (;;) {
+        const result = ready.shift();
+        if (result) {
+          const waiters = roomWaiters;
+          roomWaiters = [];
+          waiters.forEach(resume => resume());
+          yield result;
+        } else if (finished) {
+          break;
+        } else {
+          await new Promise<void>(resolve => {
+            wakeConsumer = resolve;
+          });
+        }
+      }
+
+      if (failure) {
+        throw failure.error;
+      }
+    } finally {
+      if (!finished) {
+        controller.abort(new AbortError('Result stream was closed'));
+      }
+      await run;
+      unlink();
+    }
+  }
+
+  /**
+   * Runs tasks pulled from `source` under this runner's concurrency, keyed
+   * concurrency, resource pools, rate limit, retry and timeout settings. A
+   * task that cannot start yet is set aside so that other work can start.
+   * A task whose weight or resources can never be satisfied fails without
+   * running.
+   *
+   * If the run is aborted, through abort() or `options`, tasks that were
+   * handed out but never started are settled as skipped with the abort
+   * reason.
+   */
+  async runSource<T>(source: TaskSource<T>, options: RunOptions = {}): Promise<void> {
+    const controller = new AbortController();
+    const runSignal = controller.signal;
+    const aborted = new Promise<void>(resolve => runSignal.addEventListener('abort', () => resolve(), { once: true }));
+    const stopRun = this.watchRun(controller, options);
+    const limiter = new ConcurrencyLimiter(
+      this.adaptive?.max ?? this.options.concurrency,
+      this.options,
+      () => this.concurrency
+    );
+    const pending = new PendingBuffer<{ demand: TaskDemand; item: ScheduledTask<T>; reserved: boolean }>();
+    const executing = new Set<Promise<void>>();
+    let reservations = 0;
+    this.runControllers.add(controller);
+
+    // Whatever `settled` calls (event listeners, say) must not break the run
+    const settle = (item: ScheduledTask<T>, result: TaskResult<T>) => {
+      try {
+        source.settled(item, result);
+      } catch (error) {
+        this.logger.error(`Task ${item.taskIndex}: handling its result failed: ${toError(error).message}`);
+      }
+    };
+
+    const takeNext = (): { demand: TaskDemand; item: ScheduledTask<T> } | undefined => {
+      const buffered = pending.take((_, claim) => limiter.canStart(claim.demand));
+      if (buffered) {
+        if (buffered.item.reserved) reservations--;
+        return buffered.item;
+      }
 
-          const successResult: TaskResult<T> = {
-            success: true,
-            result,
-            taskIndex,
-            attempts: attempt,
-            duration: totalDuration,
+      // A task waiting for weight or resources to free up keeps its place:
+      // nothing queued after it starts first, so heavy tasks are not starved.
+      if (reservations > 0) {
+        return undefined;
+      }
+
+      // Tasks held back for a busy key are buffered, but only up to the
+      // concurrency limit, so a long source is not read into memory.
+      while (pending.size < Math.max(1, this.concurrency)) {
+        const item = source.next();
+        if (!item) break;
+
+        const demand = limiter.demandOf(item.metadata);
+        const unsatisfiable = limiter.validate(demand);
+        if (unsatisfiable) {
+          this.logger.error(`Task ${item.taskIndex}: ${unsatisfiable.message}`);
+          settle(item, {
+            ...this.createAbortedResult<T>(item.taskIndex, unsatisfiable),
+            ...(item.metadata !== undefined && { metadata: item.metadata }),
+          });
+          continue;
+        }
+        if (limiter.canStart(demand)) {
+          return { demand, item };
+        }
+
+        const reserved = limiter.keyHasRoom(demand.key);
+        pending.push(demand.key, { demand, item, reserved });
+        if (reserved) {
+          reservations++;
+          return undefined;
+        }
+      }
+
+      return undefined;
+    };
+
+    const retryWaiters: Array<{ demand: TaskDemand; resume: () => void }> = [];
+    let wake: () => void = () => {};
+
+    const startTask = (demand: TaskDemand, item: ScheduledTask<T>) => {
+      let held = true;
+      limiter.acquire(demand);
+
+      const slot: TaskSlot = {
+        release: () => {
+          if (!held) return;
+          held = false;
+          limiter.release(demand);
+          wake();
+        },
+        reacquire: signal => new Promise<void>((resolve, reject) => {
+          const onAbort = () => {
+            retryWaiters.splice(retryWaiters.indexOf(waiter), 1);
+            reject(signal.reason);
           };
-          
-          if (retryHistory.length > 0) {
-            successResult.retryHistory = retryHistory;
+          const waiter = {
+            demand,
+            resume: () => {
+              held = true;
+              signal.removeEventListener('abort', onAbort);
+              resolve();
+            },
+          };
+
+          if (signal.aborted) {
+            reject(signal.reason);
+            return;
           }
-          
-          results[taskIndex] = successResult;
-          return;
-          
-        } catch (error) {
-          const attemptDuration = performance.now() - attemptStartTime;
-          totalDuration += attemptDuration;
-          
-          lastError = error instanceof Error ? error : new Error(String(error));
-          const isTimeout = error instanceof TimeoutError;
-          
-          if (attempt < maxAttempts) {
-            const retryDelay = this.calculateRetryDelay(attempt, this.options.retryDelay!);
-            retryHistory.push({
-              attempt,
-              error: lastError,
-              timestamp: new Date(),
-              delay: retryDelay,
-              duration: attemptDuration,
-              timedOut: isTimeout,
-            });
-            
-            if (isTimeout) {
-              this.logger.warn(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} timed out after ${attemptDuration.toFixed(2)}ms`);
-            } else {
-              this.logger.warn(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} failed: ${lastError.message}`);
-            }
-          } else {
-            if (isTimeout) {
-              this.logger.error(`Task ${taskIndex}: All ${maxAttempts} attempts failed. Final timeout after ${attemptDuration.toFixed(2)}ms`);
-            } else {
-              this.logger.error(`Task ${taskIndex}: All ${maxAttempts} attempts failed. Final error: ${lastError.message}`);
-            }
+
+          signal.addEventListener('abort', onAbort, { once: true });
+          retryWaiters.push(waiter);
+          wake();
+        }),
+      };
+
+      const taskPromise = this.executeTask(item, runSignal, slot).then(result => {
+        slot.release();
+        if (options.failFast && !result.success && !runSignal.aborted) {
+          controller.abort(new AbortError(`Run stopped after task ${item.taskIndex} failed`));
+        }
+        settle(item, result);
+      });
+      executing.add(taskPromise);
+      taskPromise
+        .finally(() => {
+          executing.delete(taskPromise);
+        })
+        .catch(() => {});
+    };
+
+    try {
+      for (;;) {
+        while (!runSignal.aborted && limiter.hasCapacity()) {
+          // Retries whose backoff has expired go ahead of tasks that never started.
+          const waiterIndex = retryWaiters.findIndex(waiter => limiter.canStart(waiter.demand));
+          if (waiterIndex !== -1) {
+            const [waiter] = retryWaiters.splice(waiterIndex, 1);
+            limiter.acquire(waiter!.demand);
+            waiter!.resume();
+            continue;
           }
+
+          if (source.canStart && !source.canStart()) break;
+
+          const next = takeNext();
+          if (!next) break;
+          if (source.start && !source.start(next.item)) continue;
+
+          startTask(next.demand, next.item);
+        }
+
+        const moreTasks = runSignal.aborted || source.isDone() ? undefined : source.waitForTasks?.();
+        if (executing.size > 0) {
+          const wakeUp = new Promise<void>(resolve => {
+            wake = resolve;
+          });
+          await Promise.race([...executing, wakeUp, aborted, ...(moreTasks ? [moreTasks] : [])]);
+        } else if (moreTasks) {
+          await Promise.race([moreTasks, aborted]);
+        } else {
+          break;
         }
       }
+    } finally {
+      stopRun();
+      this.runControllers.delete(controller);
+    }
 
-      const isTimeout = lastError instanceof TimeoutError;
-      
-      const failureResult: TaskResult<T> = {
-        success: false,
-        error: lastError,
-        taskIndex,
-        attempts: maxAttempts,
-        duration: totalDuration,
-        timedOut: isTimeout,
-      };
-      
+    // Held-back tasks are left over when the run is aborted, or when the
+    // source reports it is done while they wait (a stopped queue, say)
+    const unstarted = pending.drain().map(claim => claim.item);
+    if (runSignal.aborted) {
+      if (source.drain) {
+        unstarted.push(...source.drain());
+      } else {
+        for (let item = source.next(); item; item = source.next()) {
+          unstarted.push(item);
+        }
+      }
+    }
+
+    if (unstarted.length > 0) {
+      const reason = runSignal.reason instanceof Error ? runSignal.reason : new AbortError();
+      unstarted.forEach(item => {
+        settle(item, {
+          ...this.createAbortedResult<T>(item.taskIndex, reason),
+          skipped: true,
+          ...(item.metadata !== undefined && { metadata: item.metadata }),
+        });
+      });
+    }
+  }
+
+  /**
+   * Aborts `controller` when `options.signal` aborts or `options.deadline`
+   * passes. Returns a function that stops watching.
+   */
+  private watchRun(controller: AbortController, { signal, deadline }: RunOptions): () => void {
+    const onAbort = () => {
+      controller.abort(signal!.reason instanceof Error ? signal!.reason : new AbortError('Run was aborted'));
+    };
+
+    let timer: NodeJS.Timeout | undefined;
+    if (deadline !== undefined) {
+      const budget = deadline instanceof Date ? deadline.getTime() - Date.now() : deadline;
+      if (budget <= 0) {
+        controller.abort(new AbortError('Run deadline exceeded'));
+      } else {
+        timer = setTimeout(() => controller.abort(new AbortError('Run deadline exceeded')), budget);
+      }
+    }
+
+    if (signal?.aborted) {
+      onAbort();
+    } else {
+      signal?.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+  }
+
+  private async executeTask<T>(
+    scheduled: ScheduledTask<T>,
+    runSignal: AbortSignal,
+    slot?: TaskSlot
+  ): Promise<TaskResult<T>> {
+    const { task, metadata, taskIndex, dependencyResults } = scheduled;
+    const settings = this.settingsFor(metadata);
+    const maxAttempts = settings.retries + 1;
+    const retryHistory: NonNullable<TaskResult<T>['retryHistory']> = [];
+    
+    let lastError: Error = new Error('Unknown error');
+    let totalDuration = 0;
+    let attemptsMade = 0;
+    let retryDelay: number | undefined;
+    let rateLimitWait = 0;
+    let softTimeouts = 0;
+    let deadline: number | undefined;
+    const circuitKey = this.breaker?.keyOf(metadata);
+
+    const finish = (result: TaskResult<T>): TaskResult<T> => {
       if (retryHistory.length > 0) {
-        failureResult.retryHistory = retryHistory;
+        result.retryHistory = retryHistory;
       }
-      
-      results[taskIndex] = failureResult;
+
+      if (this.rateLimiter) {
+        result.rateLimitWait = rateLimitWait;
+      }
+
+      if (metadata !== undefined) {
+        result.metadata = metadata;
+      }
+
+      result.settings = settings;
+
+      if (softTimeouts > 0) {
+        result.softTimeouts = softTimeouts;
+      }
+
+      if (result.success) {
+        this.notify('onSuccess', taskIndex, result.result, result.duration ?? 0, metadata);
+      } else if (result.attempts > 0) {
+        this.notify('onError', taskIndex, result.error!, result.attempts, metadata);
+      }
+
+      return result;
     };
+    
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let permit: CircuitPermit | undefined;
+      try {
+        if (attempt > 1 && slot && this.options.requeueRetries) {
+          this.logger.info(`Task ${taskIndex}: Requeuing attempt ${attempt}/${maxAttempts} after ${retryDelay!.toFixed(0)}ms delay`);
+          slot.release();
+          await this.delay(retryDelay!, runSignal);
+          await slot.reacquire(runSignal);
+        } else if (attempt > 1) {
+          this.logger.info(`Task ${taskIndex}: Retrying attempt ${attempt}/${maxAttempts} after ${retryDelay!.toFixed(0)}ms delay`);
+          await this.delay(retryDelay!, runSignal);
+        }
+
+        if (circuitKey !== undefined) {
+          permit = await this.passCircuit(circuitKey, runSignal, slot);
+        }
+
+        if (this.rateLimiter) {
+          rateLimitWait += await this.rateLimiter.acquire(runSignal);
+        }
+      } catch (error) {
+        if (permit) {
+          this.breaker!.release(permit, undefined);
+        }
+        if (error instanceof CircuitOpenError) {
+          this.logger.warn(`Task ${taskIndex}: ${error.message}, failing without attempt ${attempt}`);
+        }
+        return finish({
+          ...this.createAbortedResult<T>(taskIndex, toError(error), attemptsMade, totalDuration),
+          ...(runSignal.aborted && attemptsMade === 0 && { skipped: true }),
+        });
+      }
+
+      const attemptStartTime = performance.now();
+      if (settings.totalTimeout !== undefined) {
+        deadline ??= attemptStartTime + settings.totalTimeout;
+      }
+
+      // The attempt gets whatever is left of totalTimeout if that is less
+      // than its own timeout. A timeout of 0 means no per-attempt limit.
+      const ownTimeout = settings.timeout !== undefined && settings.timeout > 0 ? settings.timeout : undefined;
+      const remaining = deadline === undefined ? undefined : deadline - attemptStartTime;
+      const budgetLimited = remaining !== undefined && (ownTimeout === undefined || remaining < ownTimeout);
+      const attemptTimeout = budgetLimited ? remaining : ownTimeout;
+
+      if (budgetLimited && remaining! <= 0) {
+        if (permit) {
+          this.breaker!.release(permit, undefined);
+        }
+        lastError = this.totalTimeoutError(settings.totalTimeout!, attemptsMade);
+        this.logger.error(`Task ${taskIndex}: ${lastError.message}`);
+        break;
+      }
+
+      if (attempt === 1) {
+        this.notify('onStart', taskIndex, metadata);
+      }
+
+      const context: Omit<TaskContext, 'signal'> = {
+        ...(dependencyResults !== undefined && { dependencyResults }),
+        attempt,
+        taskIndex,
+        ...(metadata !== undefined && { metadata }),
+      };
+      attemptsMade = attempt;
+
+      const softTimer = settings.softTimeout === undefined ? undefined : setTimeout(() => {
+        softTimeouts++;
+        const elapsed = performance.now() - attemptStartTime;
+        this.logger.warn(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} still running after ${elapsed.toFixed(0)}ms (soft timeout ${settings.softTimeout}ms)`);
+        this.notify('onSoftTimeout', taskIndex, attempt, elapsed, metadata);
+      }, settings.softTimeout);
+      
+      try {
+        let result: T;
+        let attemptDuration: number;
+
+        const runAttempt = (signal: AbortSignal) => task({ ...context, signal });
+
+        if (attemptTimeout) {
+          const outcome = await withTimeout(runAttempt, attemptTimeout, runSignal);
+          
+          if (outcome.timedOut) {
+            attemptDuration = outcome.duration;
+            throw outcome.error;
+          } else {
+            result = outcome.result;
+            attemptDuration = outcome.duration;
+          }
+        } else {
+          result = await createAbortableTask(runAttempt, runSignal)();
+          attemptDuration = performance.now() - attemptStartTime;
+        }
 
-    while (currentIndex < tasks.length || executing.size > 0) {
-      while (executing.size < this.options.concurrency && currentIndex < tasks.length) {
-        const taskPromise = executeTaskWithRetry(currentIndex);
-        executing.add(taskPromise);
+        totalDuration += attemptDuration;
+        this.adaptive?.record({ startedAt: attemptStartTime, duration: attemptDuration, success: true });
+        if (permit) {
+          this.breaker!.release(permit, false);
+        }
         
-        taskPromise.finally(() => {
-          executing.delete(taskPromise);
+        if (attempt > 1) {
+          this.logger.info(`Task ${taskIndex}: Succeeded on attempt ${attempt}/${maxAttempts} (${attemptDuration.toFixed(2)}ms)`);
+        }
+
+        return finish({
+          success: true,
+          result,
+          taskIndex,
+          attempts: attempt,
+          duration: totalDuration,
         });
         
-        currentIndex++;
+      } catch (error) {
+        const attemptDuration = performance.now() - attemptStartTime;
+        totalDuration += attemptDuration;
+        
+        lastError = budgetLimited && error instanceof TimeoutError
+          ? this.totalTimeoutError(settings.totalTimeout!, attempt)
+          : toError(error);
+        const isTimeout = error instanceof TimeoutError;
+
+        if (permit) {
+          this.breaker!.release(permit, runSignal.aborted ? undefined : true);
+        }
+
+        if (runSignal.aborted) {
+          this.logger.warn(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} aborted`);
+          return finish(this.createAbortedResult(taskIndex, lastError, attempt, totalDuration));
+        }
+
+        if (isTimeout) {
+          this.notify('onTimeout', taskIndex, attemptDuration, metadata);
+        }
+        this.adaptive?.record({
+          startedAt: attemptStartTime,
+          duration: attemptDuration,
+          success: false,
+          timedOut: isTimeout,
+        });
+        
+        let willRetry = attempt < maxAttempts && !(budgetLimited && isTimeout) &&
+          shouldRetryError(lastError, attempt, { ...context, signal: runSignal }, settings);
+        const nextDelay = willRetry ? calculateRetryDelay(attempt, lastError, retryDelay, settings) : undefined;
+
+        if (willRetry && deadline !== undefined && performance.now() + nextDelay! >= deadline) {
+          this.logger.warn(`Task ${taskIndex}: No time left in its ${settings.totalTimeout}ms total timeout for another attempt`);
+          willRetry = false;
+        }
+        
+        if (willRetry) {
+          retryDelay = nextDelay!;
+          retryHistory.push({
+            attempt,
+            error: lastError,
+            timestamp: new Date(),
+            delay: retryDelay,
+            duration: attemptDuration,
+            timedOut: isTimeout,
+          });
+          this.notify('onRetry', taskIndex, attempt + 1, lastError, metadata);
+          
+          if (isTimeout) {
+            this.logger.warn(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} timed out after ${attemptDuration.toFixed(2)}ms`);
+          } else {
+            this.logger.warn(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} failed: ${lastError.message}`);
+          }
+        } else {
+          if (attempt < maxAttempts) {
+            this.logger.error(`Task ${taskIndex}: Attempt ${attempt}/${maxAttempts} failed with a non-retryable error: ${lastError.message}`);
+          } else if (isTimeout) {
+            this.logger.error(`Task ${taskIndex}: All ${maxAttempts} attempts failed. Final timeout after ${attemptDuration.toFixed(2)}ms`);
+          } else {
+            this.logger.error(`Task ${taskIndex}: All ${maxAttempts} attempts failed. Final error: ${lastError.message}`);
+          }
+          break;
+        }
+      } finally {
+        clearTimeout(softTimer);
       }
+    }
 
-      if (executing.size > 0) {
-        await Promise.race(executing);
+    return finish({
+      success: false,
+      error: lastError,
+      taskIndex,
+      attempts: attemptsMade,
+      duration: totalDuration,
+      timedOut: lastError instanceof TimeoutError,
+    });
+  }
+
+  /**
+   * This runner's timeout and retry settings with the task's own overrides
+   * from `metadata` applied.
+   */
+  private settingsFor(metadata?: TaskMetadata): TaskSettings {
+    // A task's own `timeout` is unused when it also sets `attemptTimeout`
+    const overridden = TASK_OVERRIDES.filter(name =>
+      metadata?.[name] !== undefined && !(name === 'timeout' && metadata.attemptTimeout !== undefined)
+    );
+    const merged: TaskOverrides = { ...this.options };
+    overridden.forEach(name => {
+      (merged as Record<string, unknown>)[name] = metadata![name];
+    });
+
+    // The per-attempt limit is resolved per level, so a task's `timeout`
+    // beats the runner's `attemptTimeout`
+    const timeout =
+      metadata?.attemptTimeout ?? metadata?.timeout ?? this.options.attemptTimeout ?? this.options.timeout;
+
+    return {
+      ...(timeout !== undefined && { timeout }),
+      ...(merged.totalTimeout !== undefined && { totalTimeout: merged.totalTimeout }),
+      ...(merged.softTimeout !== undefined && { softTimeout: merged.softTimeout }),
+      retries: merged.retries ?? 0,
+      retryDelay: merged.retryDelay ?? 1000,
+      exponentialBackoff: merged.exponentialBackoff ?? false,
+      maxRetryDelay: merged.maxRetryDelay ?? 30000,
+      ...(merged.retryPolicy !== undefined && { retryPolicy: merged.retryPolicy }),
+      overridden,
+    };
+  }
+
+  /**
+   * Admits an attempt through its circuit. While the circuit is open this
+   * throws CircuitOpenError, or with `whenOpen: 'defer'` gives the
+   * concurrency slot back and waits until an attempt is allowed.
+   */
+  private async passCircuit(key: string, signal: AbortSignal, slot?: TaskSlot): Promise<CircuitPermit> {
+    const breaker = this.breaker!;
+
+    for (;;) {
+      const permit = breaker.tryAcquire(key);
+      if (!(permit instanceof CircuitOpenError)) {
+        return permit;
+      }
+      if (breaker.whenOpen === 'fail') {
+        throw permit;
       }
+
+      slot?.release();
+      await breaker.waitForChange(key, signal);
+      await slot?.reacquire(signal);
     }
+  }
 
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
-    const totalRetries = results.reduce((sum, r) => sum + (r.attempts - 1), 0);
-    
-    this.logger.info(`Task execution completed: ${successCount} successful, ${failureCount} failed, ${totalRetries} total retries`);
+  /**
+   * Calls a lifecycle hook. A hook that throws is logged and otherwise
+   * ignored so it cannot fail the task it reports on.
+   */
+  private notify<K extends keyof TaskLifecycleHooks>(
+    hook: K,
+    ...args: Parameters<NonNullable<TaskLifecycleHooks[K]>>
+  ): void {
+    const callback = this.options.hooks?.[hook] as ((...args: unknown[]) => void) | undefined;
+    try {
+      callback?.(...args);
+    } catch (error) {
+      this.logger.error(`Lifecycle hook ${hook} failed: ${toError(error).message}`);
+    }
+  }
+
+  private totalTimeoutError(totalTimeout: number, attempts: number): TimeoutError {
+    return new TimeoutError(`Task exceeded its total timeout of ${totalTimeout}ms after ${attempts} attempts`, totalTimeout);
+  }
 
-    return results;
+  private createAbortedResult<T>(taskIndex: number, error: Error, attempts = 0, duration = 0): TaskResult<T> {
+    return {
+      success: false,
+      error,
+      taskIndex,
+      attempts,
+      duration,
+      timedOut: false,
+    };
   }
 
-  async runWithSummary<T>(tasks: AsyncTask<T>[]): Promise<TaskExecutionSummary<T>> {
-    if (tasks.length === 0) {
+  async runWithSummary<T>(tasks: TaskInputs<T>, options: RunOptions = {}): Promise<TaskExecutionSummary<T>> {
+    if (Array.isArray(tasks) && tasks.length === 0) {
       const now = new Date();
       return generateExecutionSummary([], now, now);
     }
 
-    const startTime = new Date();
-    const results = await this.run(tasks);
-    const endTime = new Date();
+    return this.runAndSummarize(tasks, options);
+  }
+
+  /**
+   * Adaptive concurrency and circuit breaker activity since `since`, for
+   * generateExecutionSummary().
+   */
+  summarizeRun(since: Date): RunActivity {
+    const concurrency = this.adaptive?.summarize(since);
+    const circuitBreaker = this.breaker?.summarize(since);
 
-    return generateExecutionSummary(results, startTime, endTime);
+    return {
+      ...(concurrency !== undefined && { concurrency }),
+      ...(circuitBreaker !== undefined && { circuitBreaker }),
+    };
   }
-}
\ No newline at end of file
+}
+
+const TASK_OVERRIDES: Array<keyof TaskOverrides> = [
+  'timeout',
+  'attemptTimeout',
+  'totalTimeout',
+  'softTimeout',
+  'retries',
+  'retryDelay',
+  'exponentialBackoff',
+  'maxRetryDelay',
+  'retryPolicy',
+];
+
+function normalizeTask<T>(input: TaskInput<T>): { task: AsyncTask<T>; metadata?: TaskMetadata } {
+  return typeof input === 'function' ? { task: input } : input;
+}
+
+function toError(error: unknown): Error {
+  return error instanceof Error ? error : new Error(String(error));
+}
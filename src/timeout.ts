@@ -1,4 +1,4 @@
-import { TimeoutError } from './types.js';
+import { TimeoutError, AbortError } from './types.js';
 
 export interface TimeoutResult<T> {
   result: T;
@@ -15,58 +15,32 @@ export interface TimeoutFailure {
 export type TimeoutOutcome<T> = TimeoutResult<T> | TimeoutFailure;
 
 export async function withTimeout<T>(
-  task: () => Promise<T>,
-  timeoutMs: number
+  task: (signal: AbortSignal) => Promise<T>,
+  timeoutMs: number,
+  signal?: AbortSignal
 ): Promise<TimeoutOutcome<T>> {
   const startTime = performance.now();
-  
-  let abortController: AbortController | undefined;
-  let timeoutId: NodeJS.Timeout | undefined;
-  
+  const abortController = new AbortController();
+  const unlink = linkSignal(abortController, signal);
+
+  const timeoutId = setTimeout(() => {
+    const duration = performance.now() - startTime;
+    abortController.abort(new TimeoutError(`Task timed out after ${duration.toFixed(2)}ms`, duration));
+  }, timeoutMs);
+
   try {
-    if (typeof AbortController !== 'undefined') {
-      abortController = new AbortController();
-      
-      const timeoutPromise = new Promise<never>((_, reject) => {
-        timeoutId = setTimeout(() => {
-          const duration = performance.now() - startTime;
-          abortController?.abort();
-          reject(new TimeoutError(`Task timed out after ${duration.toFixed(2)}ms`, duration));
-        }, timeoutMs);
-      });
-      
-      const taskPromise = task();
-      const result = await Promise.race([taskPromise, timeoutPromise]);
-      
-      const duration = performance.now() - startTime;
-      return {
-        result,
-        duration,
-        timedOut: false
-      };
-      
-    } else {
-      const timeoutPromise = new Promise<never>((_, reject) => {
-        timeoutId = setTimeout(() => {
-          const duration = performance.now() - startTime;
-          reject(new TimeoutError(`Task timed out after ${duration.toFixed(2)}ms`, duration));
-        }, timeoutMs);
-      });
-      
-      const taskPromise = task();
-      const result = await Promise.race([taskPromise, timeoutPromise]);
-      
-      const duration = performance.now() - startTime;
-      return {
-        result,
-        duration,
-        timedOut: false
-      };
-    }
-    
+    const result = await createAbortableTask(task, abortController.signal)();
+
+    const duration = performance.now() - startTime;
+    return {
+      result,
+      duration,
+      timedOut: false
+    };
+
   } catch (error) {
     const duration = performance.now() - startTime;
-    
+
     if (error instanceof TimeoutError) {
       return {
         error,
@@ -74,44 +48,68 @@ export async function withTimeout<T>(
         timedOut: true
       };
     }
-    
+
     throw error;
-    
+
   } finally {
-    if (timeoutId) {
-      clearTimeout(timeoutId);
-    }
+    clearTimeout(timeoutId);
+    unlink();
   }
 }
 
 export function createAbortableTask<T>(
-  originalTask: () => Promise<T>,
+  originalTask: (signal: AbortSignal) => Promise<T>,
   signal?: AbortSignal
 ): () => Promise<T> {
   return async () => {
-    if (signal?.aborted) {
-      throw new Error('Task was aborted before execution');
-    }
-    
-    const taskPromise = originalTask();
-    
-    if (!signal) {
-      return taskPromise;
+    const controller = new AbortController();
+    const unlink = linkSignal(controller, signal);
+    const taskSignal = controller.signal;
+
+    if (taskSignal.aborted) {
+      unlink();
+      throw toAbortError(taskSignal, 'Task was aborted before execution');
     }
-    
+
     return new Promise<T>((resolve, reject) => {
       const abortHandler = () => {
-        reject(new Error('Task was aborted'));
+        reject(toAbortError(taskSignal));
       };
-      
-      signal.addEventListener('abort', abortHandler, { once: true });
-      
-      taskPromise
-        .then(resolve)
-        .catch(reject)
+
+      taskSignal.addEventListener('abort', abortHandler, { once: true });
+
+      Promise.resolve()
+        .then(() => originalTask(taskSignal))
+        .then(resolve, reject)
         .finally(() => {
-          signal.removeEventListener('abort', abortHandler);
+          taskSignal.removeEventListener('abort', abortHandler);
+          unlink();
         });
     });
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Forwards an abort from `parent` to `controller`, keeping the parent's reason.
+ * Returns a function that detaches the listener once the child is done.
+ */
+export function linkSignal(controller: AbortController, parent?: AbortSignal): () => void {
+  if (!parent) {
+    return () => {};
+  }
+
+  if (parent.aborted) {
+    controller.abort(parent.reason);
+    return () => {};
+  }
+
+  const forward = () => controller.abort(parent.reason);
+  parent.addEventListener('abort', forward, { once: true });
+  return () => parent.removeEventListener('abort', forward);
+}
+
+function toAbortError(signal: AbortSignal, message?: string): Error {
+  return signal.reason instanceof AbortError || signal.reason instanceof TimeoutError
+    ? signal.reason
+    : new AbortError(message);
+}
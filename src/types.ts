@@ -1,7 +1,52 @@
-export type AsyncTask<T = any> = () => Promise<T>;
+export interface TaskContext {
+  signal: AbortSignal;
+  attempt: number;
+  taskIndex: number;
+  metadata?: TaskMetadata;
+  dependencyResults?: Record<string, any>;
+}
+
+export type AsyncTask<T = any> = (context: TaskContext) => Promise<T>;
+
+export interface TaskEntry<T = any> {
+  task: AsyncTask<T>;
+  metadata?: TaskMetadata;
+}
+
+export type TaskInput<T = any> = AsyncTask<T> | TaskEntry<T>;
+
+/** The value a task input resolves with */
+export type TaskOutput<I> = I extends AsyncTask<infer T> ? T : I extends TaskEntry<infer T> ? T : never;
+
+/** Tasks keyed by name, whose results come back under the same keys */
+export type TaskRecord = Record<string, TaskInput>;
+
+/** Results of a task tuple or record, each typed from its own task */
+export type TaskResultsOf<I> = { -readonly [K in keyof I]: TaskResult<TaskOutput<I[K]>> };
+
+/**
+ * Tasks as an array, or any iterable or async iterable that is read one
+ * task at a time as concurrency slots free up.
+ */
+export type TaskInputs<T = any> = Iterable<TaskInput<T>> | AsyncIterable<TaskInput<T>>;
 
 export interface TimeoutConfig {
+  /** Limit (ms) for each attempt */
   timeout?: number;
+  /** Limit (ms) for each attempt; takes precedence over `timeout` */
+  attemptTimeout?: number;
+  /** Limit (ms) for a whole task, from its first attempt through every retry and retry delay */
+  totalTimeout?: number;
+  /** ms after which a still-running attempt is reported, without failing it */
+  softTimeout?: number;
+}
+
+export type JitterStrategy = 'none' | 'full' | 'equal' | 'decorrelated';
+
+export interface RetryPolicy {
+  shouldRetry?: (error: Error, attempt: number, context: TaskContext) => boolean;
+  jitter?: JitterStrategy;
+  delay?: (attempt: number, error: Error, previousDelay: number | undefined) => number;
 }
 
 export interface RetryConfig {
@@ -9,21 +54,176 @@ export interface RetryConfig {
   retryDelay?: number;
   exponentialBackoff?: boolean;
   maxRetryDelay?: number;
+  retryPolicy?: RetryPolicy;
+  requeueRetries?: boolean;
+}
+
+export interface RateLimitConfig {
+  tokens: number;
+  interval: number;
+  burst?: number;
+}
+
+export interface KeyedConcurrencyConfig {
+  concurrencyKey?: (metadata: TaskMetadata) => string | undefined;
+  keyConcurrency?: Record<string, number>;
+  defaultKeyConcurrency?: number;
+}
+
+export interface ResourceConfig {
+  /** Named pools, such as `{ db: 4, cpu: 8 }`, that tasks draw on through `metadata.resources` */
+  resources?: Record<string, number>;
 }
 
-export interface TaskConfig extends RetryConfig, TimeoutConfig {
+/**
+ * Adaptive (AIMD) concurrency: the limit starts at `concurrency`, grows by
+ * `increase` after each limit's worth of healthy attempts and is multiplied
+ * by `decrease` on a timeout, an error rate above `maxErrorRate` or a
+ * latency spike.
+ */
+export interface AdaptiveConcurrencyConfig {
+  /** Lowest limit (default 1) */
+  min?: number;
+  /** Highest limit (default 100) */
+  max?: number;
+  /** Step added to the limit while attempts are healthy (default 1) */
+  increase?: number;
+  /** Factor applied to the limit on trouble, between 0 and 1 (default 0.5) */
+  decrease?: number;
+  /** Share of failed attempts over the window that counts as trouble (default 0.1) */
+  maxErrorRate?: number;
+  /** Attempt duration (ms) that counts as a latency spike */
+  latencyThreshold?: number;
+  /** Without `latencyThreshold`, a spike is an attempt slower than this multiple of the window's mean (default 2) */
+  latencyTolerance?: number;
+  /** Number of recent attempts used for the error rate and mean latency (default 20) */
+  window?: number;
+}
+
+export type ConcurrencyChangeReason = 'increase' | 'timeout' | 'error' | 'latency';
+
+export interface ConcurrencyChange {
+  timestamp: Date;
+  limit: number;
+  previous: number;
+  reason: ConcurrencyChangeReason;
+}
+
+export interface ConcurrencySummary {
+  /** Limit when the run started */
+  initial: number;
+  /** Limit when the run ended */
+  final: number;
+  lowest: number;
+  highest: number;
+  changes: ConcurrencyChange[];
+}
+
+/**
+ * Circuit breaker per `key(metadata)`. A closed circuit opens once at least
+ * `minimumRequests` of its last `window` attempts have been made and the
+ * share that failed reaches `failureThreshold`. After `cooldown` ms it lets
+ * `halfOpenProbes` attempts through: if they all succeed it closes again,
+ * and any failure reopens it.
+ */
+export interface CircuitBreakerConfig {
+  /** Circuit a task belongs to; undefined bypasses the breaker (default: one shared circuit) */
+  key?: (metadata: TaskMetadata) => string | undefined;
+  /** Failure rate (0-1) that opens the circuit (default 0.5) */
+  failureThreshold?: number;
+  /** Attempts needed in the window before the failure rate counts (default 5) */
+  minimumRequests?: number;
+  /** Number of recent attempts the failure rate is taken over (default 20) */
+  window?: number;
+  /** ms an open circuit waits before letting probes through (default 30000) */
+  cooldown?: number;
+  /** Successful probes that close a half-open circuit (default 1) */
+  halfOpenProbes?: number;
+  /** Fail attempts with CircuitOpenError while open, or defer them until a probe is allowed (default 'fail') */
+  whenOpen?: 'fail' | 'defer';
+}
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitStateChange {
+  timestamp: Date;
+  key: string;
+  from: CircuitState;
+  to: CircuitState;
+}
+
+export interface CircuitBreakerSummary {
+  opened: number;
+  halfOpened: number;
+  closed: number;
+  /** Tasks that failed with CircuitOpenError */
+  rejected: number;
+  changes: CircuitStateChange[];
+}
+
+export interface SchedulingConfig extends KeyedConcurrencyConfig, ResourceConfig {
+  rateLimit?: RateLimitConfig;
+  adaptiveConcurrency?: boolean | AdaptiveConcurrencyConfig;
+  circuitBreaker?: CircuitBreakerConfig;
+}
+
+export type ResultRetention = 'none' | 'failures' | 'all';
+
+export interface ResultConfig {
+  /**
+   * Which results run() returns and summaries list: every one, only those
+   * that did not succeed, or none. Summary counts, durations and the error
+   * breakdown still cover every task (default 'all').
+   */
+  retainResults?: ResultRetention;
+  /** Receives each result of run() and runWithSummary() as it settles */
+  onResult?: (result: TaskResult) => void;
+}
+
+export interface TaskConfig extends RetryConfig, TimeoutConfig, SchedulingConfig, ResultConfig {
   concurrency?: number;
 }
 
+/** Options for task tuples and records, which always come back complete */
+export type KeyedTaskConfig = Omit<TaskConfig, 'retainResults'>;
+
 // Phase 8: Advanced Features Types
 
-export interface TaskMetadata {
+/**
+ * Timeout and retry settings a task can set for itself in its metadata.
+ * They replace the runner's values for that task only.
+ */
+export interface TaskOverrides
+  extends TimeoutConfig, Pick<RetryConfig, 'retries' | 'retryDelay' | 'exponentialBackoff' | 'maxRetryDelay' | 'retryPolicy'> {}
+
+/**
+ * The timeout and retry settings a task ran with, recorded on its result.
+ */
+export interface TaskSettings {
+  /** Per-attempt limit: `attemptTimeout`, or else `timeout` */
+  timeout?: number;
+  totalTimeout?: number;
+  softTimeout?: number;
+  retries: number;
+  retryDelay: number;
+  exponentialBackoff: boolean;
+  maxRetryDelay: number;
+  retryPolicy?: RetryPolicy;
+  /** Settings taken from the task's metadata instead of the runner */
+  overridden: Array<keyof TaskOverrides>;
+}
+
+export interface TaskMetadata extends TaskOverrides {
   id?: string;
   name?: string;
   priority?: number;
   batch?: string;
   dependencies?: string[];
   tags?: string[];
+  /** Units of `concurrency` the task occupies while it runs (default 1) */
+  weight?: number;
+  /** Amount needed from each resource pool while the task runs */
+  resources?: Record<string, number>;
   userData?: any;
 }
 
@@ -32,10 +232,28 @@ export interface PriorityTask<T = any> extends TaskMetadata {
   priority: number;
 }
 
-export interface BatchConfig {
+export interface TransactionConfig {
+  /** Treat each batch as all-or-nothing: roll it back and rerun it if any task fails */
+  transactional?: boolean;
+  /** Extra attempts for a transactional batch that failed */
+  batchRetries?: number;
+  /** Undoes a failed transactional batch attempt; receives that attempt's results */
+  rollback?: (batchResults: TaskResult[]) => void | Promise<void>;
+}
+
+export interface BatchPolicy extends RetryConfig, TimeoutConfig, TransactionConfig {
+  concurrency?: number;
+}
+
+export interface BatchConfig extends TransactionConfig {
   batchSize?: number;
   batchDelay?: number;
+  /** Run each batch group (by `metadata.batch`) side by side under its own runner */
   parallelBatches?: boolean;
+  /** Most batch groups in flight at once with `parallelBatches` */
+  maxParallelBatches?: number;
+  /** Overrides for a batch group, keyed by `metadata.batch` */
+  batchPolicies?: Record<string, BatchPolicy>;
 }
 
 export interface EventHandlers {
@@ -44,13 +262,66 @@ export interface EventHandlers {
   onSuccess?: (taskIndex: number, result: any, duration: number, metadata?: TaskMetadata) => void;
   onError?: (taskIndex: number, error: Error, attempts: number, metadata?: TaskMetadata) => void;
   onTimeout?: (taskIndex: number, duration: number, metadata?: TaskMetadata) => void;
+  onSoftTimeout?: (taskIndex: number, attempt: number, elapsed: number, metadata?: TaskMetadata) => void;
   onComplete?: (summary: TaskExecutionSummary) => void;
   onProgress?: (completed: number, total: number, running: number) => void;
+  onConcurrencyChange?: (change: ConcurrencyChange) => void;
+  onCircuitStateChange?: (change: CircuitStateChange) => void;
 }
 
-export interface AdvancedTaskOptions extends TaskConfig, BatchConfig {
+/**
+ * Callbacks fired by TaskRunner: onStart when a task's first attempt begins,
+ * onRetry with the number of the attempt about to be made, onTimeout for
+ * every attempt that times out, onSoftTimeout for every attempt still running
+ * at `softTimeout`, and onSuccess or onError once it settles.
+ * onConcurrencyChange and onCircuitStateChange report adaptive concurrency
+ * adjustments and circuit breaker transitions.
+ */
+export type TaskLifecycleHooks = Pick<
+  EventHandlers,
+  | 'onStart'
+  | 'onRetry'
+  | 'onSuccess'
+  | 'onError'
+  | 'onTimeout'
+  | 'onSoftTimeout'
+  | 'onConcurrencyChange'
+  | 'onCircuitStateChange'
+>;
+
+/**
+ * Events emitted by AdvancedTaskRunner. The task* events carry the same
+ * arguments as the matching EventHandlers callbacks.
+ */
+export interface TaskQueueEvents {
+  start: (pending: number) => void;
+  complete: (summary: TaskExecutionSummary) => void;
+  progress: (completed: number, total: number, running: number) => void;
+  taskStart: NonNullable<EventHandlers['onStart']>;
+  taskRetry: NonNullable<EventHandlers['onRetry']>;
+  taskSuccess: NonNullable<EventHandlers['onSuccess']>;
+  taskError: NonNullable<EventHandlers['onError']>;
+  taskTimeout: NonNullable<EventHandlers['onTimeout']>;
+  taskSoftTimeout: NonNullable<EventHandlers['onSoftTimeout']>;
+  taskCancelled: (taskIndex: number, metadata?: TaskMetadata) => void;
+  concurrencyChange: NonNullable<EventHandlers['onConcurrencyChange']>;
+  circuitStateChange: NonNullable<EventHandlers['onCircuitStateChange']>;
+  /** `batchId` is the batch group's `metadata.batch` with `parallelBatches` */
+  batchStart: (batchNumber: number, size: number, batchId?: string) => void;
+  batchComplete: (batchNumber: number, results: TaskResult[], summary: TaskExecutionSummary, batchId?: string) => void;
+  batchRollback: (batchNumber: number, batchAttempt: number, results: TaskResult[], batchId?: string, rollbackError?: Error) => void;
+  pause: () => void;
+  resume: () => void;
+  stop: () => void;
+  clear: () => void;
+}
+
+export interface AdvancedTaskOptions extends Omit<TaskConfig, keyof ResultConfig>, BatchConfig {
   eventHandlers?: EventHandlers;
   priorityQueue?: boolean;
+  /** With `priorityQueue`, ms of waiting that raise a task's priority by one level */
+  agingInterval?: number;
+  dependencyGraph?: boolean;
   pauseOnError?: boolean;
   stopOnError?: boolean;
 }
@@ -60,15 +331,55 @@ export interface QueueStatus {
   pending: number;
   completed: number;
   failed: number;
+  skipped: number;
+  cancelled: number;
   paused: boolean;
   stopped: boolean;
 }
 
+export interface QueueStatistics extends Omit<QueueStatus, 'paused' | 'stopped'> {
+  total: number;
+  /** Percentage of executed tasks that succeeded; skipped and cancelled tasks are left out */
+  successRate: number;
+  /** Mean duration (ms) of successful tasks */
+  averageDuration: number;
+  /** Mean duration (ms) of the most recently finished tasks, successful or not */
+  movingAverageLatency: number;
+  /** Tasks finished per second */
+  throughput: number;
+  /** Estimated ms until running and pending tasks finish; undefined until a rate is known */
+  eta: number | undefined;
+}
+
+export type TaskState = 'pending' | 'running' | 'completed' | 'failed' | 'skipped' | 'cancelled';
+
+export interface TaskInfo {
+  taskIndex: number;
+  id?: string;
+  state: TaskState;
+  priority: number;
+  metadata: TaskMetadata;
+  result?: TaskResult;
+}
+
+export interface TaskFilter {
+  state?: TaskState | TaskState[];
+  tag?: string;
+  batch?: string;
+}
+
+export interface StopOptions {
+  /** Let in-flight tasks finish instead of aborting them */
+  drain?: boolean;
+}
+
 export interface TaskQueue {
-  add(task: AsyncTask | PriorityTask, metadata?: TaskMetadata): void;
+  add(task: AsyncTask | PriorityTask, metadata?: TaskMetadata): Promise<TaskResult>;
+  onEmpty(): Promise<void>;
+  onIdle(): Promise<void>;
   pause(): void;
   resume(): void;
-  stop(): void;
+  stop(options?: StopOptions): Promise<void>;
   clear(): void;
   status(): QueueStatus;
 }
@@ -81,6 +392,15 @@ export interface TaskResult<T = any> {
   attempts: number;
   duration?: number;
   timedOut?: boolean;
+  /** Attempts that were still running at `softTimeout` */
+  softTimeouts?: number;
+  skipped?: boolean;
+  cancelled?: boolean;
+  rateLimitWait?: number;
+  /** Attempt of a transactional batch that produced this result */
+  batchAttempt?: number;
+  /** Timeout and retry settings used for this task */
+  settings?: TaskSettings;
   metadata?: TaskMetadata;
   retryHistory?: Array<{
     attempt: number;
@@ -92,8 +412,74 @@ export interface TaskResult<T = any> {
   }>;
 }
 
-export interface TaskRunnerOptions extends RetryConfig, TimeoutConfig {
+export interface TaskRunnerOptions extends RetryConfig, TimeoutConfig, SchedulingConfig, ResultConfig {
   concurrency: number;
+  hooks?: TaskLifecycleHooks;
+}
+
+/**
+ * Per-run controls for TaskRunner. When `signal` aborts, `deadline` passes or
+ * a task fails with `failFast`, no more tasks start, in-flight tasks are
+ * aborted and tasks that never started come back with `skipped: true`.
+ */
+export interface RunOptions {
+  signal?: AbortSignal;
+  /** Time budget for the run: ms from its start, or a point in time */
+  deadline?: number | Date;
+  /** End the run on the first task that fails */
+  failFast?: boolean;
+}
+
+export interface StreamOptions extends RunOptions {
+  /** Yield results in input order instead of completion order */
+  ordered?: boolean;
+  /**
+   * Most results held for the consumer, including those waiting on an
+   * earlier task with `ordered`. No new task starts while it is full
+   * (default 100).
+   */
+  bufferSize?: number;
+}
+
+/** Per-item function for mapConcurrent() and the other collection helpers */
+export type ItemMapper<I, O> = (item: I, index: number, context: TaskContext) => O | Promise<O>;
+
+export interface CollectionOptions extends Omit<TaskConfig, keyof ResultConfig>, Omit<RunOptions, 'failFast'> {
+  /**
+   * Stop at the first failure and throw its error (default), or run every
+   * item and then throw an AggregateTaskError if any failed.
+   */
+  stopOnError?: boolean;
+}
+
+export interface ScheduledTask<T = any> extends TaskEntry<T> {
+  taskIndex: number;
+  dependencyResults?: Record<string, any>;
+}
+
+/**
+ * Pull-based feed of tasks for TaskRunner.runSource(). `next()` returns
+ * undefined when nothing can start right now; `isDone()` reports that
+ * nothing ever will again, and `waitForTasks()` returns a promise for when
+ * that may change, if there is anything to wait for. Every task handed out is reported back through
+ * `settled()`, including the ones that never started because the run was
+ * aborted. Those are collected with `drain()` if the source has it, and by
+ * calling `next()` until it returns undefined otherwise.
+ *
+ * A task handed out may be held back until its key, weight or resources
+ * free up. While `canStart()` returns false no task starts, held ones
+ * included. `start()` is called when a task actually starts; returning false
+ * means the source has taken it back (cancelled it, say), and it is dropped
+ * without running or being reported.
+ */
+export interface TaskSource<T = any> {
+  next(): ScheduledTask<T> | undefined;
+  isDone(): boolean;
+  settled(task: ScheduledTask<T>, result: TaskResult<T>): void;
+  canStart?(): boolean;
+  start?(task: ScheduledTask<T>): boolean;
+  waitForTasks?(): Promise<void> | undefined;
+  drain?(): ScheduledTask<T>[];
 }
 
 export interface TaskOptions extends AdvancedTaskOptions {
@@ -107,6 +493,38 @@ export class TimeoutError extends Error {
   }
 }
 
+export class NonRetryableError extends Error {
+  constructor(message: string, public readonly cause?: unknown) {
+    super(message);
+    this.name = 'NonRetryableError';
+  }
+}
+
+export class AbortError extends Error {
+  constructor(message = 'Task was aborted') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+export class CircuitOpenError extends Error {
+  constructor(public readonly key: string, public readonly retryAfter: number) {
+    super(`Circuit "${key}" is open`);
+    this.name = 'CircuitOpenError';
+  }
+}
+
+/**
+ * Thrown by the collection helpers with `stopOnError: false` when any item
+ * failed. `errors` are in input order, and `indexes` holds their items' indexes.
+ */
+export class AggregateTaskError extends Error {
+  constructor(public readonly errors: Error[], public readonly indexes: number[], total: number) {
+    super(`${errors.length} of ${total} items failed`);
+    this.name = 'AggregateTaskError';
+  }
+}
+
 export interface Logger {
   info(message: string, ...args: any[]): void;
   warn(message: string, ...args: any[]): void;
@@ -122,11 +540,22 @@ export interface ErrorSummary {
   lastOccurrence: Date;
 }
 
+/** Summary of a task tuple or record, with results typed and keyed like its tasks */
+export interface KeyedTaskExecutionSummary<I> extends Omit<TaskExecutionSummary, 'results'> {
+  results: TaskResultsOf<I>;
+}
+
 export interface TaskExecutionSummary<T = any> {
+  total: number;
   success: number;
   failed: number;
   timedOut: number;
+  /** Attempts that ran past `softTimeout`, counted separately from `timedOut` */
+  softTimeouts: number;
+  skipped: number;
+  cancelled: number;
   retries: number;
+  rateLimitWait: number;
   totalDuration: number;
   averageDuration: number;
   results: TaskResult<T>[];
@@ -134,4 +563,8 @@ export interface TaskExecutionSummary<T = any> {
   startTime: Date;
   endTime: Date;
   executionTime: number;
+  /** How the limit moved during the run, with `adaptiveConcurrency` */
+  concurrency?: ConcurrencySummary;
+  /** Circuit transitions and rejected tasks during the run, with `circuitBreaker` */
+  circuitBreaker?: CircuitBreakerSummary;
 }
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Adaptive Concurrency Tests
+ *
+ * Tests the AIMD controller (additive increase, multiplicative decrease on
+ * timeouts, errors and latency spikes) and how runners expose the limit
+ * through events and the summary
+ */
+
+import { runTasksWithSummary, AdvancedTaskRunner, ConcurrencyChange, formatSummary } from '../src/index.js';
+import { AdaptiveConcurrency } from '../src/adaptive-concurrency.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+const ok = (duration = 10) => ({ startedAt: performance.now(), duration, success: true });
+
+describe('Adaptive Concurrency Controller', () => {
+  test('should raise the limit by one step per limit of healthy attempts', () => {
+    const controller = new AdaptiveConcurrency(2, { max: 4 });
+
+    controller.record(ok());
+    expect(controller.limit).toBe(2);
+    controller.record(ok());
+    expect(controller.limit).toBe(3);
+
+    for (let i = 0; i < 10; i++) controller.record(ok());
+    expect(controller.limit).toBe(4);
+  });
+
+  test('should halve the limit once for a burst of timeouts from in-flight work', () => {
+    const changes: ConcurrencyChange[] = [];
+    const controller = new AdaptiveConcurrency(8, { min: 2 }, change => changes.push(change));
+    const startedAt = performance.now();
+
+    controller.record({ startedAt, duration: 50, success: false, timedOut: true });
+    controller.record({ startedAt, duration: 50, success: false, timedOut: true });
+    expect(controller.limit).toBe(4);
+
+    controller.record({ startedAt: performance.now(), duration: 50, success: false, timedOut: true });
+    controller.record({ startedAt: performance.now(), duration: 50, success: false, timedOut: true });
+    expect(controller.limit).toBe(2);
+    expect(changes.map(change => [change.previous, change.limit, change.reason])).toEqual([
+      [8, 4, 'timeout'],
+      [4, 2, 'timeout']
+    ]);
+  });
+
+  test('should cut on error rate and latency spikes', () => {
+    const errors = new AdaptiveConcurrency(10, { maxErrorRate: 0.25 });
+    for (let i = 0; i < 6; i++) errors.record(ok());
+    errors.record({ startedAt: performance.now(), duration: 10, success: false });
+    expect(errors.limit).toBe(10);
+    errors.record({ startedAt: performance.now(), duration: 10, success: false });
+    expect(errors.limit).toBe(10);
+    errors.record({ startedAt: performance.now(), duration: 10, success: false });
+    expect(errors.limit).toBe(5);
+
+    const latency = new AdaptiveConcurrency(10, { latencyTolerance: 3 });
+    for (let i = 0; i < 5; i++) latency.record(ok(10));
+    latency.record(ok(25));
+    expect(latency.limit).toBe(10);
+    latency.record(ok(100));
+    expect(latency.limit).toBe(5);
+
+    const threshold = new AdaptiveConcurrency(10, { latencyThreshold: 50 });
+    threshold.record(ok(60));
+    expect(threshold.limit).toBe(5);
+  });
+
+  test('should reject invalid bounds', () => {
+    expect(() => new AdaptiveConcurrency(1, { min: 5, max: 2 }))
+      .toThrow('adaptiveConcurrency requires whole numbers with 1 <= min <= max');
+    expect(() => new AdaptiveConcurrency(1, { decrease: 1 }))
+      .toThrow('adaptiveConcurrency requires a positive increase and a decrease between 0 and 1');
+  });
+});
+
+describe('Adaptive Concurrency', () => {
+  test('should grow the limit while tasks are healthy and report it in the summary', async () => {
+    let running = 0;
+    let peak = 0;
+    const tasks = Array.from({ length: 60 }, () => async () => {
+      peak = Math.max(peak, ++running);
+      await delay(5);
+      running--;
+    });
+
+    const summary = await runTasksWithSummary(tasks, {
+      concurrency: 2,
+      adaptiveConcurrency: { max: 6 }
+    });
+
+    expect(summary.success).toBe(60);
+    expect(summary.concurrency).toMatchObject({ initial: 2, highest: 6, lowest: 2 });
+    expect(summary.concurrency?.changes.every(change => change.reason === 'increase')).toBe(true);
+    expect(peak).toBeGreaterThan(2);
+    expect(peak).toBeLessThanOrEqual(6);
+    expect(formatSummary(summary)).toContain('Concurrency: 2 → 6');
+  });
+
+  test('should back off when the upstream is overloaded', async () => {
+    const runner = new AdvancedTaskRunner({
+      concurrency: 8,
+      adaptiveConcurrency: { min: 1, max: 8 }
+    });
+    const changes: ConcurrencyChange[] = [];
+    runner.on('concurrencyChange', change => changes.push(change));
+
+    let running = 0;
+    for (let i = 0; i < 30; i++) {
+      runner.add(async () => {
+        running++;
+        await delay(5);
+        const overloaded = running > 3;
+        running--;
+        if (overloaded) throw new Error('503 Service Unavailable');
+      });
+    }
+
+    await runner.run();
+
+    expect(changes[0]).toMatchObject({ previous: 8, limit: 4, reason: 'error' });
+    expect(runner.getStatistics().completed).toBeGreaterThan(10);
+  });
+
+  test('should leave summaries without a concurrency section by default', async () => {
+    const summary = await runTasksWithSummary([async () => 1]);
+    expect(summary.concurrency).toBeUndefined();
+  });
+});
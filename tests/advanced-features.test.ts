@@ -269,7 +269,8 @@ describe('Advanced Task Runner Features', () => {
       const results = await runPromise;
       
       // Should have completed fewer than all tasks
-      expect(results.length).toBeLessThan(5);
+      expect(results.filter(r => r.success).length).toBeLessThan(5);
+      expect(results.filter(r => r.skipped).length).toBeGreaterThan(0);
       expect(runner.status().stopped).toBe(true);
     });
   });
@@ -385,7 +386,8 @@ describe('Advanced Task Runner Features', () => {
       const results = await runner.run();
       
       // Should stop after the error in first batch
-      expect(results.length).toBeLessThan(4);
+      expect(results.filter(r => !r.skipped).length).toBeLessThan(4);
+      expect(results.filter(r => r.skipped).map(r => r.taskIndex)).toEqual([2, 3]);
       expect(runner.status().stopped).toBe(true);
     });
     
@@ -0,0 +1,189 @@
+/**
+ * Cancellation Tests
+ *
+ * Tests the task context passed to every attempt and abort propagation
+ * from timeouts, TaskRunner.abort(), AdvancedTaskRunner.stop() and the
+ * signal, deadline and failFast run options
+ */
+
+import { runTasks, AdvancedTaskRunner, AbortError, TaskContext } from '../src/index.js';
+import { TaskRunner } from '../src/task-runner.js';
+import { createSilentLogger } from '../src/logger.js';
+
+const waitForAbort = (signal: AbortSignal, ms: number) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve('finished'), ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('aborted by signal'));
+    });
+  });
+
+describe('Task Context and Cancellation', () => {
+  test('should pass attempt context to every task', async () => {
+    const contexts: TaskContext[] = [];
+    let calls = 0;
+
+    const results = await runTasks([
+      {
+        task: async (context) => {
+          contexts.push(context);
+          if (++calls < 2) {
+            throw new Error('first attempt fails');
+          }
+          return 'ok';
+        },
+        metadata: { id: 'ctx-task' }
+      }
+    ], { retries: 1, retryDelay: 10 });
+
+    expect(results[0]?.success).toBe(true);
+    expect(results[0]?.metadata?.id).toBe('ctx-task');
+    expect(contexts.map(c => c.attempt)).toEqual([1, 2]);
+    expect(contexts.every(c => c.taskIndex === 0)).toBe(true);
+    expect(contexts[0]?.metadata?.id).toBe('ctx-task');
+    expect(contexts[0]?.signal).not.toBe(contexts[1]?.signal);
+  });
+
+  test('should abort the task signal when an attempt times out', async () => {
+    let aborted = false;
+
+    const results = await runTasks([
+      ({ signal }) => {
+        signal.addEventListener('abort', () => { aborted = true; });
+        return waitForAbort(signal, 1000);
+      }
+    ], { timeout: 50 });
+
+    expect(results[0]?.timedOut).toBe(true);
+    expect(aborted).toBe(true);
+  });
+
+  test('should abort in-flight tasks and skip pending ones on TaskRunner.abort()', async () => {
+    const runner = new TaskRunner({ concurrency: 1, retries: 2, retryDelay: 10 }, createSilentLogger());
+    let started = 0;
+
+    const tasks = Array.from({ length: 3 }, () => ({ signal }: TaskContext) => {
+      started++;
+      return waitForAbort(signal, 1000);
+    });
+
+    const runPromise = runner.run(tasks);
+    setTimeout(() => runner.abort(), 50);
+    const results = await runPromise;
+
+    expect(started).toBe(1);
+    expect(results).toHaveLength(3);
+    expect(results.every(r => !r.success && r.error instanceof AbortError)).toBe(true);
+    expect(results[0]?.attempts).toBe(1);
+    expect(results[1]?.attempts).toBe(0);
+  });
+
+  test('should abort running tasks when AdvancedTaskRunner is stopped', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 2 });
+    const signals: AbortSignal[] = [];
+
+    runner.add(({ signal }) => {
+      signals.push(signal);
+      return waitForAbort(signal, 1000);
+    });
+
+    const runPromise = runner.run();
+    setTimeout(() => runner.stop(), 50);
+    const results = await runPromise;
+
+    expect(signals[0]?.aborted).toBe(true);
+    expect(results[0]?.success).toBe(false);
+    expect(results[0]?.error).toBeInstanceOf(AbortError);
+  });
+});
+
+describe('Run Options', () => {
+  const createTasks = (count: number, ms: number, started: number[]) =>
+    Array.from({ length: count }, (_, i) => ({ signal }: TaskContext) => {
+      started.push(i);
+      return waitForAbort(signal, ms);
+    });
+
+  test('should end the run when the signal aborts', async () => {
+    const runner = new TaskRunner({ concurrency: 2 }, createSilentLogger());
+    const controller = new AbortController();
+    const started: number[] = [];
+
+    setTimeout(() => controller.abort(), 30);
+    const summary = await runner.runWithSummary(createTasks(5, 1000, started), { signal: controller.signal });
+
+    expect(started).toEqual([0, 1]);
+    expect(summary.results.slice(0, 2).every(r => !r.success && !r.skipped && r.attempts === 1)).toBe(true);
+    expect(summary.results.slice(2).every(r => r.skipped && r.attempts === 0)).toBe(true);
+    expect(summary).toMatchObject({ total: 5, failed: 2, skipped: 3 });
+  });
+
+  test('should skip everything for an already aborted signal', async () => {
+    const runner = new TaskRunner({ concurrency: 2 }, createSilentLogger());
+    const started: number[] = [];
+
+    const results = await runner.run(createTasks(3, 10, started), { signal: AbortSignal.abort() });
+
+    expect(started).toEqual([]);
+    expect(results.every(r => r.skipped && r.error instanceof AbortError)).toBe(true);
+  });
+
+  test('should stop at the deadline and keep finished results', async () => {
+    const runner = new TaskRunner({ concurrency: 1 }, createSilentLogger());
+    const started: number[] = [];
+
+    const results = await runner.run(createTasks(5, 20, started), { deadline: 50 });
+
+    expect(started.length).toBeGreaterThanOrEqual(2);
+    expect(started.length).toBeLessThan(5);
+    expect(results.filter(r => r.success)).toHaveLength(started.length - 1);
+    expect(results[started.length - 1]?.error?.message).toBe('Run deadline exceeded');
+    expect(results.slice(started.length).every(r => r.skipped)).toBe(true);
+  });
+
+  test('should accept the deadline as a point in time', async () => {
+    const runner = new TaskRunner({ concurrency: 1 }, createSilentLogger());
+    const started: number[] = [];
+
+    const results = await runner.run(createTasks(3, 100, started), { deadline: new Date(Date.now() + 30) });
+
+    expect(started).toEqual([0]);
+    expect(results.slice(1).every(r => r.skipped)).toBe(true);
+  });
+
+  test('should start nothing when the deadline has already passed', async () => {
+    const runner = new TaskRunner({ concurrency: 2 }, createSilentLogger());
+    const started: number[] = [];
+
+    for (const deadline of [0, new Date(Date.now() - 1000)]) {
+      const results = await runner.run(createTasks(3, 10, started), { deadline });
+
+      expect(results).toHaveLength(3);
+      expect(results.every(r => r.skipped && r.error?.message === 'Run deadline exceeded')).toBe(true);
+    }
+    expect(started).toEqual([]);
+  });
+
+  test('should stop on the first failure with failFast', async () => {
+    const runner = new TaskRunner({ concurrency: 2, retries: 1, retryDelay: 5 }, createSilentLogger());
+    const slow: AbortSignal[] = [];
+
+    const results = await runner.run([
+      async () => {
+        throw new Error('bad input');
+      },
+      ({ signal }) => {
+        slow.push(signal);
+        return waitForAbort(signal, 1000);
+      },
+      async () => 'never started'
+    ], { failFast: true });
+
+    expect(results[0]).toMatchObject({ success: false, attempts: 2 });
+    expect(slow[0]?.aborted).toBe(true);
+    expect(results[1]?.success).toBe(false);
+    expect(results[2]).toMatchObject({ skipped: true, attempts: 0 });
+    expect(results[2]?.error?.message).toBe('Run stopped after task 0 failed');
+  });
+});
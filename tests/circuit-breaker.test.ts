@@ -0,0 +1,141 @@
+/**
+ * Circuit Breaker Tests
+ *
+ * Tests per-key circuits opening on failure rate, failing fast or deferring
+ * while open, half-open probes and how transitions are reported
+ */
+
+import {
+  runTasks,
+  runTasksWithSummary,
+  AdvancedTaskRunner,
+  CircuitOpenError,
+  CircuitStateChange,
+  TaskContext,
+  formatSummary
+} from '../src/index.js';
+import { CircuitBreaker, CircuitPermit } from '../src/circuit-breaker.js';
+
+const hostOf = (metadata: { userData?: { host?: string } }) => metadata.userData?.host;
+
+describe('Circuit Breaker', () => {
+  test('should open on failure rate and fail the remaining tasks fast', async () => {
+    let calls = 0;
+    const tasks = Array.from({ length: 10 }, () => async () => {
+      calls++;
+      throw new Error('ECONNREFUSED');
+    });
+
+    const summary = await runTasksWithSummary(tasks, {
+      concurrency: 1,
+      circuitBreaker: { minimumRequests: 3, failureThreshold: 0.5 }
+    });
+
+    expect(calls).toBe(3);
+    expect(summary.results.slice(3).every(r => r.error instanceof CircuitOpenError && r.attempts === 0)).toBe(true);
+    expect(summary.circuitBreaker).toMatchObject({ opened: 1, halfOpened: 0, closed: 0, rejected: 7 });
+    expect(formatSummary(summary)).toContain('Circuit breaker: 7 rejected');
+  });
+
+  test('should keep a circuit per key', async () => {
+    const task = async ({ metadata }: TaskContext) => {
+      if (metadata?.userData.host === 'down.example.com') throw new Error('502 Bad Gateway');
+      return metadata?.userData.host;
+    };
+    const hosts = Array.from({ length: 12 }, (_, i) => (i % 2 ? 'up.example.com' : 'down.example.com'));
+
+    const results = await runTasks(
+      hosts.map(host => ({ task, metadata: { userData: { host } } })),
+      { concurrency: 1, circuitBreaker: { key: hostOf, minimumRequests: 2 } }
+    );
+
+    const byHost = (host: string) => results.filter(r => r.metadata?.userData.host === host);
+    expect(byHost('up.example.com').every(r => r.success)).toBe(true);
+    expect(byHost('down.example.com').filter(r => r.error instanceof CircuitOpenError)).toHaveLength(4);
+  });
+
+  test('should stop retrying once the circuit opens', async () => {
+    let calls = 0;
+    const [result] = await runTasks([async () => {
+      calls++;
+      throw new Error('timeout talking to upstream');
+    }], { retries: 5, retryDelay: 1, circuitBreaker: { minimumRequests: 2 } });
+
+    expect(calls).toBe(2);
+    expect(result).toMatchObject({ success: false, attempts: 2 });
+    expect(result?.error).toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('should defer tasks until a half-open probe closes the circuit', async () => {
+    const runner = new AdvancedTaskRunner({
+      concurrency: 2,
+      circuitBreaker: { minimumRequests: 2, cooldown: 30, whenOpen: 'defer' }
+    });
+    const changes: CircuitStateChange[] = [];
+    runner.on('circuitStateChange', change => changes.push(change));
+
+    let calls = 0;
+    for (let i = 0; i < 6; i++) {
+      runner.add(async () => {
+        if (++calls <= 2) throw new Error('503 Service Unavailable');
+        return 'ok';
+      });
+    }
+
+    const results = await runner.run();
+
+    expect(calls).toBe(6);
+    expect(results.filter(r => r.success)).toHaveLength(4);
+    expect(changes.map(change => `${change.from}->${change.to}`))
+      .toEqual(['closed->open', 'open->half-open', 'half-open->closed']);
+  });
+
+  test('should reopen when a probe fails and only allow the configured probes', () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, cooldown: 0, halfOpenProbes: 1 });
+    const acquire = () => breaker.tryAcquire('db') as CircuitPermit;
+
+    breaker.release(acquire(), true);
+    expect(breaker.stateOf('db')).toBe('open');
+
+    const probe = acquire();
+    expect(probe.probe).toBe(true);
+    expect(breaker.tryAcquire('db')).toBeInstanceOf(CircuitOpenError);
+
+    breaker.release(probe, true);
+    expect(breaker.stateOf('db')).toBe('open');
+
+    breaker.release(acquire(), false);
+    expect(breaker.stateOf('db')).toBe('closed');
+  });
+
+  test('should keep running when a circuit listener throws', async () => {
+    const runner = new AdvancedTaskRunner({
+      concurrency: 1,
+      circuitBreaker: { minimumRequests: 1, window: 1 },
+      eventHandlers: {
+        onCircuitStateChange: () => {
+          throw new Error('handler open');
+        }
+      }
+    });
+    runner.on('circuitStateChange', () => {
+      throw new Error('listener open');
+    });
+    runner.add(async () => {
+      throw new Error('ECONNREFUSED');
+    });
+    runner.add(async () => 'never runs');
+
+    const results = await runner.run();
+
+    expect(results[0]?.error?.message).toBe('ECONNREFUSED');
+    expect(results[1]?.error).toBeInstanceOf(CircuitOpenError);
+  });
+
+  test('should reject invalid settings', () => {
+    expect(() => new CircuitBreaker({ failureThreshold: 0 }))
+      .toThrow('circuitBreaker failureThreshold must be between 0 and 1');
+    expect(() => new CircuitBreaker({ minimumRequests: 10, window: 5 }))
+      .toThrow('circuitBreaker requires 1 <= minimumRequests <= window');
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Collection Helper Tests
+ *
+ * Tests mapConcurrent, filterConcurrent, forEachConcurrent and
+ * reduceConcurrent over arrays and async iterables, with runner options
+ * and both error modes
+ */
+
+import {
+  mapConcurrent,
+  filterConcurrent,
+  forEachConcurrent,
+  reduceConcurrent,
+  AggregateTaskError,
+  TimeoutError
+} from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function* numbers(count: number) {
+  for (let i = 1; i <= count; i++) {
+    await delay(1);
+    yield i;
+  }
+}
+
+describe('Collection Helpers', () => {
+  test('should map in input order within the concurrency limit', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const doubled = await mapConcurrent([5, 1, 3, 2, 4], async (n, index) => {
+      peak = Math.max(peak, ++running);
+      await delay(n * 5);
+      running--;
+      return `${index}:${n * 2}`;
+    }, { concurrency: 2 });
+
+    expect(doubled).toEqual(['0:10', '1:2', '2:6', '3:4', '4:8']);
+    expect(peak).toBe(2);
+  });
+
+  test('should accept async iterables and synchronous mappers', async () => {
+    expect(await mapConcurrent(numbers(4), n => n * n)).toEqual([1, 4, 9, 16]);
+    expect(await filterConcurrent(numbers(6), async n => n % 2 === 0)).toEqual([2, 4, 6]);
+  });
+
+  test('should pass the task context and honour retry and timeout options', async () => {
+    const attempts = new Map<string, number>();
+    const results = await mapConcurrent(['a', 'b'], async (item, _index, { attempt, signal }) => {
+      attempts.set(item, attempt);
+      if (item === 'b' && attempt === 1) {
+        await new Promise((_resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+      }
+      return item.toUpperCase();
+    }, { retries: 1, retryDelay: 1, timeout: 20 });
+
+    expect(results).toEqual(['A', 'B']);
+    expect(attempts.get('b')).toBe(2);
+  });
+
+  test('should stop and throw the first error by default', async () => {
+    const started: number[] = [];
+    const run = forEachConcurrent([1, 2, 3, 4, 5, 6], async n => {
+      started.push(n);
+      await delay(5);
+      if (n === 2) throw new Error('item 2 is malformed');
+    }, { concurrency: 2 });
+
+    await expect(run).rejects.toThrow('item 2 is malformed');
+    expect(started.length).toBeLessThan(6);
+  });
+
+  test('should run every item and aggregate errors without stopOnError', async () => {
+    const seen: number[] = [];
+    const error = await forEachConcurrent([1, 2, 3, 4], async n => {
+      seen.push(n);
+      if (n % 2 === 0) throw new Error(`bad ${n}`);
+    }, { stopOnError: false }).catch(e => e);
+
+    expect(seen.sort()).toEqual([1, 2, 3, 4]);
+    expect(error).toBeInstanceOf(AggregateTaskError);
+    expect(error.message).toBe('2 of 4 items failed');
+    expect(error.indexes).toEqual([1, 3]);
+    expect(error.errors.map((e: Error) => e.message)).toEqual(['bad 2', 'bad 4']);
+  });
+
+  test('should fold values as they complete', async () => {
+    const order: number[] = [];
+    const total = await reduceConcurrent(
+      [30, 10, 20],
+      async ms => {
+        await delay(ms);
+        return ms;
+      },
+      (sum, value, index) => {
+        order.push(index);
+        return sum + value;
+      },
+      0,
+      { concurrency: 3 }
+    );
+
+    expect(total).toBe(60);
+    expect(order).toEqual([1, 2, 0]);
+  });
+
+  test('should surface timeouts as TimeoutError', async () => {
+    await expect(mapConcurrent([1], () => delay(100), { timeout: 10 })).rejects.toBeInstanceOf(TimeoutError);
+  });
+});
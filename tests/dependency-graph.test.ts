@@ -0,0 +1,157 @@
+/**
+ * Dependency Graph Tests
+ *
+ * Tests DAG execution driven by TaskMetadata.dependencies, graph validation
+ * and skipping of dependents after a failure
+ */
+
+import { AdvancedTaskRunner, validateDependencyGraph } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Dependency Graph Execution', () => {
+  test('should start tasks only after their dependencies succeed', async () => {
+    const order: string[] = [];
+    const runner = new AdvancedTaskRunner({ dependencyGraph: true, concurrency: 4 });
+
+    runner.add(async ({ dependencyResults }) => {
+      order.push('load');
+      return `loaded ${dependencyResults?.transform}`;
+    }, { id: 'load', dependencies: ['transform'] });
+    runner.add(async ({ dependencyResults }) => {
+      order.push('transform');
+      return (dependencyResults?.extract as number[]).map(n => n * 2);
+    }, { id: 'transform', dependencies: ['extract'] });
+    runner.add(async () => {
+      await delay(20);
+      order.push('extract');
+      return [1, 2];
+    }, { id: 'extract' });
+
+    const results = await runner.run();
+
+    expect(order).toEqual(['extract', 'transform', 'load']);
+    expect(results).toHaveLength(3);
+    expect(results[0]?.result).toBe('loaded 2,4');
+    expect(results[1]?.result).toEqual([2, 4]);
+  });
+
+  test('should run independent branches concurrently', async () => {
+    const runner = new AdvancedTaskRunner({ dependencyGraph: true, concurrency: 2 });
+    const running: string[] = [];
+    let maxRunning = 0;
+
+    const track = (id: string) => async () => {
+      running.push(id);
+      maxRunning = Math.max(maxRunning, running.length);
+      await delay(30);
+      running.splice(running.indexOf(id), 1);
+      return id;
+    };
+
+    runner.add(track('users'), { id: 'users' });
+    runner.add(track('orders'), { id: 'orders' });
+    runner.add(track('report'), { id: 'report', dependencies: ['users', 'orders'] });
+
+    const results = await runner.run();
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('should skip every dependent of a failed task', async () => {
+    const runner = new AdvancedTaskRunner({ dependencyGraph: true });
+    let loadRan = false;
+
+    runner.add(() => Promise.reject(new Error('extract failed')), { id: 'extract' });
+    runner.add(() => Promise.resolve('transformed'), { id: 'transform', dependencies: ['extract'] });
+    runner.add(async () => { loadRan = true; }, { id: 'load', dependencies: ['transform'] });
+    runner.add(() => Promise.resolve('independent'), { id: 'other' });
+
+    const results = await runner.run();
+
+    expect(loadRan).toBe(false);
+    expect(results[0]?.success).toBe(false);
+    expect(results[0]?.skipped).toBeUndefined();
+    expect(results[1]?.skipped).toBe(true);
+    expect(results[1]?.error?.message).toContain('"extract"');
+    expect(results[2]?.skipped).toBe(true);
+    expect(results[3]?.success).toBe(true);
+  });
+
+  test('should skip the dependents of a cancelled task', async () => {
+    const runner = new AdvancedTaskRunner({ dependencyGraph: true });
+    const ran: string[] = [];
+    const step = (id: string) => async () => {
+      ran.push(id);
+      return id;
+    };
+
+    const extract = runner.add(step('extract'), { id: 'extract' });
+    const transform = runner.add(step('transform'), { id: 'transform', dependencies: ['extract'] });
+    const load = runner.add(step('load'), { id: 'load', dependencies: ['transform'] });
+    expect(runner.cancel('transform')).toBe(true);
+
+    const results = await runner.run();
+
+    expect(ran).toEqual(['extract']);
+    expect(results.map(r => [r.metadata?.id, r.success, r.cancelled, r.skipped])).toEqual([
+      ['extract', true, undefined, undefined],
+      ['transform', false, true, undefined],
+      ['load', false, undefined, true]
+    ]);
+    expect((await extract).success).toBe(true);
+    expect((await transform).cancelled).toBe(true);
+    expect((await load).error?.message).toContain('"transform"');
+  });
+
+  test('should cancel and promote graph tasks that have not started', async () => {
+    const runner = new AdvancedTaskRunner({ dependencyGraph: true, concurrency: 1 });
+    const ran: string[] = [];
+    const step = (id: string) => async () => {
+      ran.push(id);
+      await delay(10);
+      return id;
+    };
+
+    runner.add(step('extract'), { id: 'extract' });
+    runner.add(step('transform'), { id: 'transform', dependencies: ['extract'] });
+    runner.add(step('load'), { id: 'load', dependencies: ['transform'] });
+    runner.add(step('audit'), { id: 'audit', dependencies: ['extract'] });
+    runner.add(step('report'), { id: 'report', dependencies: ['extract'] });
+
+    const running = runner.run();
+    await delay(5);
+
+    expect(runner.get('transform')?.state).toBe('pending');
+    expect(runner.cancel('transform')).toBe(true);
+    expect(runner.get('load')?.state).toBe('skipped');
+    expect(runner.promote('report')).toBe(true);
+
+    const results = await running;
+
+    expect(ran).toEqual(['extract', 'report', 'audit']);
+    expect(results.map(r => [r.metadata?.id, r.cancelled ?? false, r.skipped ?? false])).toEqual([
+      ['extract', false, false],
+      ['transform', true, false],
+      ['load', false, true],
+      ['audit', false, false],
+      ['report', false, false]
+    ]);
+    expect(runner.cancel('load')).toBe(false);
+  });
+
+  test('should reject cycles and unknown dependencies before running', async () => {
+    let ran = false;
+    const runner = new AdvancedTaskRunner({ dependencyGraph: true });
+    runner.add(async () => { ran = true; }, { id: 'a', dependencies: ['b'] });
+    runner.add(async () => { ran = true; }, { id: 'b', dependencies: ['a'] });
+
+    await expect(runner.run()).rejects.toThrow('Dependency cycle detected: a -> b -> a');
+    expect(ran).toBe(false);
+
+    expect(() => validateDependencyGraph([{ id: 'a', dependencies: ['missing'] }]))
+      .toThrow('Task "a" depends on unknown task "missing"');
+    expect(validateDependencyGraph([{ id: 'b', dependencies: ['a'] }, { id: 'a' }])).toEqual([1, 0]);
+  });
+});
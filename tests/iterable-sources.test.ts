@@ -0,0 +1,144 @@
+/**
+ * Iterable Source Tests
+ *
+ * Tests running tasks pulled lazily from iterables, generators and async
+ * iterables, with backpressure, early termination and read errors
+ */
+
+import { runTasks, runTasksWithSummary, runAdvancedTasks, AdvancedTaskRunner, AsyncTask } from '../src/index.js';
+import { TaskRunner } from '../src/task-runner.js';
+import { createSilentLogger } from '../src/logger.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Yields `count` tasks and records the most tasks that were ever read but
+ * not yet finished.
+ */
+function trackedTasks(count: number, duration = 2) {
+  const stats = { read: 0, finished: 0, mostOutstanding: 0, closed: false };
+  function* generate(): Generator<AsyncTask<number>> {
+    try {
+      for (let i = 0; i < count; i++) {
+        stats.read++;
+        stats.mostOutstanding = Math.max(stats.mostOutstanding, stats.read - stats.finished);
+        yield async () => {
+          await delay(duration);
+          stats.finished++;
+          return i;
+        };
+      }
+    } finally {
+      stats.closed = true;
+    }
+  }
+  return { stats, tasks: generate() };
+}
+
+describe('Iterable Sources', () => {
+  test('should pull tasks from a generator only as slots free up', async () => {
+    const { stats, tasks } = trackedTasks(200);
+
+    const results = await runTasks(tasks, { concurrency: 4 });
+
+    expect(results).toHaveLength(200);
+    expect(results.map(r => r.result)).toEqual(Array.from({ length: 200 }, (_, i) => i));
+    expect(stats.mostOutstanding).toBeLessThanOrEqual(5);
+  });
+
+  test('should read async iterables such as paginated cursors', async () => {
+    let pagesFetched = 0;
+    async function* users() {
+      for (let page = 0; page < 3; page++) {
+        await delay(5);
+        pagesFetched++;
+        for (const id of [page * 2, page * 2 + 1]) {
+          yield { task: async () => `user-${id}`, metadata: { id: `user-${id}` } };
+        }
+      }
+    }
+
+    const summary = await runTasksWithSummary(users(), { concurrency: 2 });
+
+    expect(pagesFetched).toBe(3);
+    expect(summary.success).toBe(6);
+    expect(summary.results.map(r => r.metadata?.id)).toEqual(['user-0', 'user-1', 'user-2', 'user-3', 'user-4', 'user-5']);
+  });
+
+  test('should stop reading and close the source when the run is aborted', async () => {
+    const { stats, tasks } = trackedTasks(Number.MAX_SAFE_INTEGER, 5);
+    const runner = new TaskRunner({ concurrency: 3 }, createSilentLogger());
+
+    const results = await runner.run(tasks, { deadline: 50 });
+
+    expect(stats.closed).toBe(true);
+    expect(stats.read).toBeLessThan(100);
+    expect(results).toHaveLength(stats.read);
+    const stopped = results.filter(r => !r.success);
+    expect(stopped.length).toBeGreaterThan(0);
+    expect(stopped.every(r => r.error?.message === 'Run deadline exceeded')).toBe(true);
+  });
+
+  test('should stop reading while tasks wait for a busy key', async () => {
+    let read = 0;
+    let mostAhead = 0;
+    let finished = 0;
+    function* sameHost() {
+      for (let i = 0; i < 5_000; i++) {
+        read++;
+        mostAhead = Math.max(mostAhead, read - finished);
+        yield { task: async () => ++finished, metadata: { userData: { host: 'a' } } };
+      }
+    }
+
+    const runner = new TaskRunner({
+      concurrency: 4,
+      concurrencyKey: metadata => metadata.userData?.host,
+      keyConcurrency: { a: 1 },
+      retainResults: 'none'
+    }, createSilentLogger());
+    await runner.run(sameHost());
+
+    expect(finished).toBe(5_000);
+    expect(mostAhead).toBeLessThanOrEqual(6);
+  });
+
+  test('should rethrow a read error after in-flight tasks settle', async () => {
+    let finished = 0;
+    async function* failing() {
+      yield async () => {
+        await delay(30);
+        finished++;
+      };
+      throw new Error('cursor expired');
+    }
+
+    await expect(runTasks(failing(), { concurrency: 2 })).rejects.toThrow('cursor expired');
+    expect(finished).toBe(1);
+  });
+
+  test('should feed runAdvancedTasks lazily', async () => {
+    const { stats, tasks } = trackedTasks(50);
+
+    const results = await runAdvancedTasks(tasks, { concurrency: 3 });
+
+    expect(results).toHaveLength(50);
+    expect(results.every(r => r.success)).toBe(true);
+    expect(results[49]?.metadata).toMatchObject({ id: 'task-49', name: 'Task 50' });
+    expect(stats.mostOutstanding).toBeLessThanOrEqual(7);
+  });
+
+  test('should fill whole batches from a feed', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 2, batchSize: 4 });
+    const batchSizes: number[] = [];
+    runner.on('batchStart', (_batchNumber, size) => batchSizes.push(size));
+
+    const { tasks } = trackedTasks(10);
+    const feeding = runner.addFrom(tasks);
+    const results = await runner.run();
+    await feeding;
+
+    expect(results).toHaveLength(10);
+    expect(batchSizes).toEqual([4, 4, 2]);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Keyed Concurrency Tests
+ *
+ * Tests per-key concurrency limits (per host, per tenant, per pool) applied
+ * together with the global concurrency limit
+ */
+
+import { runTasks, AdvancedTaskRunner, TaskContext } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createTracker() {
+  const running = new Map<string, number>();
+  const peak = new Map<string, number>();
+  let total = 0;
+  let peakTotal = 0;
+  const started: string[] = [];
+
+  const task = (ms: number) => async ({ metadata }: TaskContext) => {
+    const host = metadata!.userData.host as string;
+    started.push(host);
+    running.set(host, (running.get(host) ?? 0) + 1);
+    peak.set(host, Math.max(peak.get(host) ?? 0, running.get(host)!));
+    peakTotal = Math.max(peakTotal, ++total);
+    await delay(ms);
+    running.set(host, running.get(host)! - 1);
+    total--;
+    return host;
+  };
+
+  return { task, peak, started, peakTotal: () => peakTotal };
+}
+
+describe('Keyed Concurrency', () => {
+  test('should cap concurrent tasks per key and overall', async () => {
+    const tracker = createTracker();
+    const hosts = ['a.com', 'a.com', 'a.com', 'a.com', 'b.com', 'b.com', 'c.com', 'c.com'];
+
+    const results = await runTasks(
+      hosts.map(host => ({ task: tracker.task(30), metadata: { userData: { host } } })),
+      {
+        concurrency: 4,
+        concurrencyKey: metadata => metadata.userData?.host,
+        keyConcurrency: { 'a.com': 1 },
+        defaultKeyConcurrency: 2
+      }
+    );
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(results.map(r => r.result)).toEqual(hosts);
+    expect(tracker.peak.get('a.com')).toBe(1);
+    expect(tracker.peak.get('b.com')).toBe(2);
+    expect(tracker.peakTotal()).toBeLessThanOrEqual(4);
+  });
+
+  test('should start work for other keys while one key is blocked', async () => {
+    const tracker = createTracker();
+    const hosts = ['slow.com', 'slow.com', 'slow.com', 'fast.com', 'fast.com'];
+
+    await runTasks(
+      hosts.map(host => ({ task: tracker.task(20), metadata: { userData: { host } } })),
+      {
+        concurrency: 3,
+        concurrencyKey: metadata => metadata.userData?.host,
+        defaultKeyConcurrency: 1
+      }
+    );
+
+    expect(tracker.started.slice(0, 2)).toEqual(['slow.com', 'fast.com']);
+  });
+
+  test('should apply keyed limits in AdvancedTaskRunner dependency graphs', async () => {
+    const tracker = createTracker();
+    const runner = new AdvancedTaskRunner({
+      concurrency: 5,
+      dependencyGraph: true,
+      concurrencyKey: metadata => metadata.batch,
+      defaultKeyConcurrency: 1
+    });
+
+    ['db-1', 'db-1', 'db-2'].forEach((pool, index) => {
+      runner.add(tracker.task(20), { id: `write-${index}`, batch: pool, userData: { host: pool } });
+    });
+
+    const results = await runner.run();
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(tracker.peak.get('db-1')).toBe(1);
+  });
+
+  test('should keep tasks waiting for their key pending and cancellable', async () => {
+    const tracker = createTracker();
+    const runner = new AdvancedTaskRunner({
+      concurrency: 4,
+      concurrencyKey: metadata => metadata.userData?.host,
+      keyConcurrency: { a: 1 }
+    });
+    const added = [0, 1, 2, 3].map(i => runner.add(tracker.task(30), { id: `t${i}`, userData: { host: 'a' } }));
+
+    const running = runner.run();
+    await delay(10);
+
+    expect(runner.status()).toMatchObject({ running: 1, pending: 3 });
+    expect(runner.get('t2')?.state).toBe('pending');
+    expect(runner.cancel('t2')).toBe(true);
+
+    const results = await running;
+
+    expect(tracker.started).toHaveLength(3);
+    expect(results.map(r => r.cancelled ?? false)).toEqual([false, false, true, false]);
+    expect((await added[2]!).cancelled).toBe(true);
+    expect(results.filter(r => r.success)).toHaveLength(3);
+  });
+
+  test('should reject invalid per-key limits', async () => {
+    await expect(runTasks([() => Promise.resolve(1)], {
+      concurrencyKey: () => 'a',
+      keyConcurrency: { a: 0 }
+    })).rejects.toThrow('keyConcurrency for "a" must be at least 1');
+  });
+});
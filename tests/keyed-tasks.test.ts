@@ -0,0 +1,89 @@
+/**
+ * Keyed and Tuple Task Tests
+ *
+ * Tests records of named tasks and task tuples, whose results keep each
+ * task's own type (checked by the compiler) and come back under the same
+ * keys or positions
+ */
+
+import { runTasks, runTasksWithSummary, formatSummary, TaskContext, TaskConfig } from '../src/index.js';
+
+interface User {
+  id: number;
+  name: string;
+}
+
+const fetchUser = async (): Promise<User> => ({ id: 7, name: 'Ada' });
+const fetchPostCount = async () => 42;
+
+describe('Keyed and Tuple Tasks', () => {
+  test('should return results keyed like the task record', async () => {
+    const results = await runTasks({ user: fetchUser, posts: fetchPostCount });
+
+    const name: string | undefined = results.user.result?.name;
+    const posts: number | undefined = results.posts.result;
+    // @ts-expect-error the user result is not a number
+    const wrong: number | undefined = results.user.result;
+
+    expect(Object.keys(results)).toEqual(['user', 'posts']);
+    expect(name).toBe('Ada');
+    expect(posts).toBe(42);
+    expect(wrong).toEqual({ id: 7, name: 'Ada' });
+  });
+
+  test('should type each tuple position separately', async () => {
+    const [user, count, label] = await runTasks([
+      fetchUser,
+      fetchPostCount,
+      { task: async ({ attempt }: TaskContext) => `attempt ${attempt}`, metadata: { id: 'label' } }
+    ]);
+
+    const id: number | undefined = user.result?.id;
+    const total: number | undefined = count.result;
+    const text: string | undefined = label.result;
+
+    expect([id, total, text]).toEqual([7, 42, 'attempt 1']);
+    expect(label.metadata?.id).toBe('label');
+  });
+
+  test('should apply retry and timeout options to keyed tasks', async () => {
+    let calls = 0;
+    const results = await runTasks({
+      flaky: async () => {
+        if (++calls < 3) throw new Error('503 Service Unavailable');
+        return 'ok';
+      },
+      slow: () => new Promise<string>(resolve => setTimeout(() => resolve('late'), 200))
+    }, { retries: 2, retryDelay: 1, timeout: 30 });
+
+    expect(results.flaky).toMatchObject({ success: true, result: 'ok', attempts: 3 });
+    expect(results.slow).toMatchObject({ success: false, timedOut: true });
+  });
+
+  test('should key the results of a summary', async () => {
+    // Keyed results are always complete, even with a shared config that limits retention
+    const shared: TaskConfig = { retainResults: 'none' };
+    const summary = await runTasksWithSummary({
+      config: async () => ({ region: 'eu-west-1' }),
+      broken: async (): Promise<number> => {
+        throw new Error('missing credentials');
+      }
+    }, shared);
+
+    const region: string | undefined = summary.results.config.result?.region;
+
+    expect(region).toBe('eu-west-1');
+    expect(summary.results.broken.error?.message).toBe('missing credentials');
+    expect(summary).toMatchObject({ total: 2, success: 1, failed: 1 });
+    expect(summary.errors[0]?.taskIndexes).toEqual([1]);
+    expect(formatSummary(summary)).toContain('Successful: 1');
+  });
+
+  test('should keep plain arrays as lists', async () => {
+    const tasks = [1, 2, 3].map(n => async () => n * 10);
+    const results = await runTasks(tasks);
+
+    const values: Array<number | undefined> = results.map(r => r.result);
+    expect(values).toEqual([10, 20, 30]);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Lifecycle Event Tests
+ *
+ * Tests the per-task hooks fired by TaskRunner and their re-emission as
+ * AdvancedTaskRunner events and EventHandlers callbacks
+ */
+
+import { AdvancedTaskRunner, TimeoutError } from '../src/index.js';
+import { TaskRunner } from '../src/task-runner.js';
+import { createSilentLogger } from '../src/logger.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Task Lifecycle Events', () => {
+  test('should fire TaskRunner hooks for every attempt', async () => {
+    const calls: string[] = [];
+    let attempts = 0;
+
+    const runner = new TaskRunner({
+      concurrency: 1,
+      retries: 2,
+      retryDelay: 10,
+      timeout: 30,
+      hooks: {
+        onStart: taskIndex => calls.push(`start ${taskIndex}`),
+        onTimeout: taskIndex => calls.push(`timeout ${taskIndex}`),
+        onRetry: (taskIndex, attempt, error) =>
+          calls.push(`retry ${taskIndex} #${attempt} ${error instanceof TimeoutError ? 'timed out' : error.message}`),
+        onSuccess: (taskIndex, result) => calls.push(`success ${taskIndex} ${result}`),
+        onError: (taskIndex, error, attemptCount) => calls.push(`error ${taskIndex} ${error.message} x${attemptCount}`)
+      }
+    }, createSilentLogger());
+
+    await runner.run([
+      async () => {
+        if (++attempts === 1) await delay(100);
+        if (attempts === 2) throw new Error('flaky');
+        return 'ok';
+      },
+      async () => {
+        throw new Error('broken');
+      }
+    ]);
+
+    expect(calls.filter(c => c.includes(' 0'))).toEqual([
+      'start 0',
+      'timeout 0',
+      'retry 0 #2 timed out',
+      'retry 0 #3 flaky',
+      'success 0 ok'
+    ]);
+    expect(calls.filter(c => c.includes(' 1'))).toEqual([
+      'start 1',
+      'retry 1 #2 broken',
+      'retry 1 #3 broken',
+      'error 1 broken x3'
+    ]);
+  });
+
+  test('should deliver the same payloads to listeners and handlers', async () => {
+    const fromHandlers: unknown[][] = [];
+    const fromEvents: unknown[][] = [];
+
+    const runner = new AdvancedTaskRunner({
+      concurrency: 1,
+      eventHandlers: {
+        onStart: (...args) => fromHandlers.push(['start', ...args]),
+        onSuccess: (taskIndex, result, _duration, metadata) => fromHandlers.push(['success', taskIndex, result, metadata]),
+        onError: (...args) => fromHandlers.push(['error', ...args])
+      }
+    });
+
+    runner.on('taskStart', (...args) => fromEvents.push(['start', ...args]));
+    runner.on('taskSuccess', (taskIndex, result, _duration, metadata) => fromEvents.push(['success', taskIndex, result, metadata]));
+    runner.on('taskError', (...args) => fromEvents.push(['error', ...args]));
+
+    runner.add(async () => 'saved', { id: 'save' });
+    runner.add(async () => {
+      throw new Error('rejected');
+    }, { id: 'notify' });
+
+    await runner.run();
+
+    expect(fromEvents).toEqual(fromHandlers);
+    expect(fromHandlers).toEqual([
+      ['start', 0, { id: 'save' }],
+      ['success', 0, 'saved', { id: 'save' }],
+      ['start', 1, { id: 'notify' }],
+      ['error', 1, expect.objectContaining({ message: 'rejected' }), 1, { id: 'notify' }]
+    ]);
+  });
+
+  test('should pass an execution summary to onComplete', async () => {
+    const onComplete = jest.fn();
+    const runner = new AdvancedTaskRunner({ eventHandlers: { onComplete } });
+
+    runner.add(async () => 1);
+    runner.add(async () => 2);
+    await runner.run();
+
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onComplete.mock.calls[0][0]).toMatchObject({ total: 2, success: 2, failed: 0 });
+  });
+
+  test('should not fail a task when a hook throws', async () => {
+    const runner = new AdvancedTaskRunner({
+      eventHandlers: {
+        onStart: () => {
+          throw new Error('dashboard offline');
+        }
+      }
+    });
+
+    const result = runner.add(async () => 'still ran');
+    await runner.run();
+
+    expect((await result).success).toBe(true);
+  });
+
+  test('should keep running when an event listener throws while a task settles', async () => {
+    const unhandled: unknown[] = [];
+    const onUnhandled = (reason: unknown) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+
+    try {
+      const runner = new AdvancedTaskRunner({ concurrency: 2 });
+      runner.on('progress', () => {
+        throw new Error('progress bar crashed');
+      });
+
+      const added = [1, 2, 3].map(n => runner.add(async () => n));
+      const results = await runner.run();
+      await delay(10);
+
+      expect(results.map(r => r.result)).toEqual([1, 2, 3]);
+      expect((await Promise.all(added)).every(r => r.success)).toBe(true);
+      expect(unhandled).toEqual([]);
+      await expect(runner.onIdle()).resolves.toBeUndefined();
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Live Queue Tests
+ *
+ * Tests adding tasks to an AdvancedTaskRunner while it is running, awaiting
+ * individual results and the onEmpty/onIdle promises
+ */
+
+import { AdvancedTaskRunner } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Live Queue', () => {
+  test('should resolve add() with the task result', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 2 });
+
+    const first = runner.add(async () => 'first');
+    const second = runner.add(async () => {
+      throw new Error('boom');
+    });
+
+    const results = await runner.run();
+
+    expect(results).toHaveLength(2);
+    expect((await first).result).toBe('first');
+    expect((await second).success).toBe(false);
+    expect((await second).error?.message).toBe('boom');
+  });
+
+  test('should pick up tasks added while running', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 2 });
+    const crawled: string[] = [];
+
+    const crawl = (url: string, links: string[]) => async () => {
+      await delay(10);
+      crawled.push(url);
+      links.forEach(link => runner.add(crawl(link, [])));
+      return url;
+    };
+
+    runner.add(crawl('/', ['/a', '/b']));
+    const results = await runner.run();
+
+    expect(results.map(r => r.result)).toEqual(['/', '/a', '/b']);
+    expect(results.map(r => r.taskIndex)).toEqual([0, 1, 2]);
+    expect(crawled).toHaveLength(3);
+  });
+
+  test('should keep the run alive for tasks added from outside', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1 });
+
+    runner.add(() => delay(30).then(() => 'slow'));
+    const running = runner.run();
+
+    await delay(5);
+    const late = runner.add(async () => 'late');
+
+    expect((await late).result).toBe('late');
+    expect((await running).map(r => r.result)).toEqual(['slow', 'late']);
+  });
+
+  test('should resolve onEmpty and onIdle', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1 });
+    const events: string[] = [];
+
+    runner.add(() => delay(20).then(() => events.push('task 1')));
+    runner.add(() => delay(20).then(() => events.push('task 2')));
+
+    const running = runner.run();
+    const empty = runner.onEmpty().then(() => events.push('empty'));
+    const idle = runner.onIdle().then(() => events.push('idle'));
+
+    await Promise.all([running, empty, idle]);
+
+    expect(events).toEqual(['task 1', 'empty', 'task 2', 'idle']);
+    await expect(runner.onIdle()).resolves.toBeUndefined();
+  });
+
+  test('should only run tasks that have not settled on a later run', async () => {
+    const runner = new AdvancedTaskRunner();
+    let calls = 0;
+
+    runner.add(async () => ++calls);
+    await runner.run();
+
+    runner.add(async () => ++calls);
+    const results = await runner.run();
+
+    expect(calls).toBe(2);
+    expect(results).toHaveLength(1);
+    expect(results[0]?.taskIndex).toBe(1);
+  });
+
+  test('should reject a second concurrent run', async () => {
+    const runner = new AdvancedTaskRunner();
+    runner.add(() => delay(10));
+
+    const running = runner.run();
+    await expect(runner.run()).rejects.toThrow('Queue is already running');
+    await running;
+  });
+});
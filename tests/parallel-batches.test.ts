@@ -0,0 +1,166 @@
+/**
+ * Parallel Batch Tests
+ *
+ * Tests running batch groups side by side under a cap, per-batch
+ * concurrency/retry/timeout policies and per-batch summaries
+ */
+
+import { AdvancedTaskRunner, TaskExecutionSummary, CircuitOpenError, CircuitStateChange } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createTracker() {
+  const running = new Map<string, number>();
+  const peak = new Map<string, number>();
+  let activeBatches = 0;
+  let peakBatches = 0;
+
+  const task = (batch: string, ms: number) => async () => {
+    if (!running.get(batch)) {
+      peakBatches = Math.max(peakBatches, ++activeBatches);
+    }
+    running.set(batch, (running.get(batch) ?? 0) + 1);
+    peak.set(batch, Math.max(peak.get(batch) ?? 0, running.get(batch)!));
+    await delay(ms);
+    running.set(batch, running.get(batch)! - 1);
+    if (!running.get(batch)) activeBatches--;
+    return batch;
+  };
+
+  return { task, peak, peakBatches: () => peakBatches };
+}
+
+describe('Parallel Batches', () => {
+  test('should run batch groups side by side up to the cap', async () => {
+    const tracker = createTracker();
+    const runner = new AdvancedTaskRunner({ parallelBatches: true, maxParallelBatches: 2, concurrency: 1 });
+    const started: string[] = [];
+    runner.on('batchStart', (_batchNumber, _size, batchId) => started.push(batchId!));
+
+    ['tenant-a', 'tenant-b', 'tenant-c'].forEach(batch => {
+      for (let i = 0; i < 2; i++) {
+        runner.add(tracker.task(batch, 20), { batch });
+      }
+    });
+
+    const results = await runner.run();
+
+    expect(results).toHaveLength(6);
+    expect(results.every(r => r.success)).toBe(true);
+    expect(results.map(r => r.taskIndex)).toEqual([0, 1, 2, 3, 4, 5]);
+    expect(tracker.peakBatches()).toBe(2);
+    expect(started).toEqual(['tenant-a', 'tenant-b', 'tenant-c']);
+  });
+
+  test('should apply per-batch concurrency, retries and timeout', async () => {
+    const tracker = createTracker();
+    let flakyCalls = 0;
+    const runner = new AdvancedTaskRunner({
+      parallelBatches: true,
+      concurrency: 1,
+      batchPolicies: {
+        bulk: { concurrency: 3 },
+        flaky: { retries: 2, retryDelay: 5 },
+        slow: { timeout: 20 }
+      }
+    });
+
+    for (let i = 0; i < 3; i++) {
+      runner.add(tracker.task('bulk', 20), { batch: 'bulk' });
+    }
+    runner.add(async () => {
+      if (++flakyCalls < 3) throw new Error('flaky');
+      return 'recovered';
+    }, { batch: 'flaky' });
+    runner.add(() => delay(100), { batch: 'slow' });
+    runner.add(tracker.task('default', 10));
+    runner.add(tracker.task('default', 10));
+
+    const results = await runner.run();
+
+    expect(tracker.peak.get('bulk')).toBe(3);
+    expect(tracker.peak.get('default')).toBe(1);
+    expect(results[3]).toMatchObject({ success: true, attempts: 3 });
+    expect(results[4]).toMatchObject({ success: false, timedOut: true });
+  });
+
+  test('should report a summary for each batch', async () => {
+    const runner = new AdvancedTaskRunner({ parallelBatches: true });
+    const completed: Array<{ batchId?: string; summary: TaskExecutionSummary }> = [];
+    runner.on('batchComplete', (_batchNumber, _results, summary, batchId) => {
+      completed.push({ ...(batchId !== undefined && { batchId }), summary });
+    });
+
+    runner.add(async () => 'ok', { batch: 'eu' });
+    runner.add(async () => {
+      throw new Error('bad row');
+    }, { batch: 'eu' });
+    runner.add(async () => 'ok', { batch: 'us' });
+
+    await runner.run();
+
+    const summaries = runner.getBatchSummaries();
+    expect(summaries.get('eu')).toMatchObject({ total: 2, success: 1, failed: 1 });
+    expect(summaries.get('us')).toMatchObject({ total: 1, success: 1, failed: 0 });
+    expect(completed.map(c => c.batchId).sort()).toEqual(['eu', 'us']);
+  });
+
+  test('should report a summary for each sequential batch', async () => {
+    const runner = new AdvancedTaskRunner({ batchSize: 2 });
+    for (let i = 0; i < 3; i++) {
+      runner.add(async () => i);
+    }
+
+    await runner.run();
+
+    expect(runner.getBatchSummaries().get(1)?.total).toBe(2);
+    expect(runner.getBatchSummaries().get(2)?.total).toBe(1);
+  });
+
+  test('should hold every batch group to one rate limit', async () => {
+    const runner = new AdvancedTaskRunner({
+      parallelBatches: true,
+      concurrency: 2,
+      rateLimit: { tokens: 2, interval: 100, burst: 2 }
+    });
+    const startTimes: number[] = [];
+
+    ['tenant-a', 'tenant-b', 'tenant-c'].forEach(batch => {
+      for (let i = 0; i < 2; i++) {
+        runner.add(async () => startTimes.push(Date.now()), { batch });
+      }
+    });
+
+    const results = await runner.run();
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(Math.max(...startTimes) - Math.min(...startTimes)).toBeGreaterThanOrEqual(150);
+  });
+
+  test('should trip one circuit breaker for every batch group', async () => {
+    const runner = new AdvancedTaskRunner({
+      parallelBatches: true,
+      maxParallelBatches: 1,
+      circuitBreaker: { minimumRequests: 2, window: 2 }
+    });
+    const changes: CircuitStateChange[] = [];
+    runner.on('circuitStateChange', change => changes.push(change));
+
+    for (let i = 0; i < 2; i++) {
+      runner.add(async () => {
+        throw new Error('upstream down');
+      }, { batch: 'first' });
+    }
+    runner.add(async () => 'never runs', { batch: 'second' });
+
+    const results = await runner.run();
+
+    expect(results[2]?.error).toBeInstanceOf(CircuitOpenError);
+    expect(changes.map(c => c.to)).toEqual(['open']);
+  });
+
+  test('should reject an invalid batch cap', () => {
+    expect(() => new AdvancedTaskRunner({ parallelBatches: true, maxParallelBatches: 0 }))
+      .toThrow('maxParallelBatches must be at least 1');
+  });
+});
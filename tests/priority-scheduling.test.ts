@@ -0,0 +1,141 @@
+/**
+ * Priority Scheduling Tests
+ *
+ * Tests the heap behind the priority queue, dispatch-time ordering, priority
+ * aging and reprioritize()
+ */
+
+import { AdvancedTaskRunner, PriorityTaskQueue } from '../src/index.js';
+import { PriorityHeap } from '../src/priority-heap.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Priority Heap', () => {
+  test('should pop in comparator order and support remove and update', () => {
+    const items = [5, 1, 9, 3, 7].map(value => ({ value }));
+    const heap = new PriorityHeap<{ value: number }>((a, b) => a.value - b.value);
+    items.forEach(item => heap.push(item));
+
+    expect(heap.remove(items[3]!)).toBe(true);
+    items[2]!.value = 0;
+    heap.update(items[2]!);
+
+    expect(heap.toArray().map(item => item.value)).toEqual([0, 1, 5, 7]);
+    expect([heap.pop(), heap.pop(), heap.pop(), heap.pop(), heap.pop()].map(item => item?.value))
+      .toEqual([0, 1, 5, 7, undefined]);
+  });
+});
+
+describe('Priority Scheduling', () => {
+  test('should pick the highest priority task when a slot frees up', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1, priorityQueue: true });
+    const order: string[] = [];
+    const task = (name: string, ms = 5) => async () => {
+      order.push(name);
+      await delay(ms);
+    };
+
+    runner.add(task('first', 30), { priority: 1 });
+    runner.add(task('low'), { priority: 1 });
+    const running = runner.run();
+
+    await delay(10);
+    runner.add(task('urgent'), { priority: 10 });
+    runner.add(task('normal'), { priority: 5 });
+    await running;
+
+    expect(order).toEqual(['first', 'urgent', 'normal', 'low']);
+  });
+
+  test('should age waiting tasks so low priority work is not starved', async () => {
+    const order: string[] = [];
+    const task = (name: string, ms = 1) => async () => {
+      order.push(name);
+      await delay(ms);
+    };
+
+    const runOnce = async (agingInterval?: number) => {
+      order.length = 0;
+      const runner = new AdvancedTaskRunner({
+        concurrency: 1,
+        priorityQueue: true,
+        ...(agingInterval !== undefined && { agingInterval })
+      });
+      runner.add(task('blocker', 60), { priority: 10 });
+      runner.add(task('background'), { priority: 0 });
+      const running = runner.run();
+
+      await delay(40);
+      runner.add(task('interactive'), { priority: 2 });
+      await running;
+      return [...order];
+    };
+
+    expect(await runOnce()).toEqual(['blocker', 'interactive', 'background']);
+    expect(await runOnce(10)).toEqual(['blocker', 'background', 'interactive']);
+  });
+
+  test('should reprioritize pending tasks', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1, priorityQueue: true });
+    const order: string[] = [];
+    ['a', 'b', 'c'].forEach(id => runner.add(async () => {
+      order.push(id);
+    }, { id }));
+
+    expect(runner.reprioritize('c', 5)).toBe(true);
+    expect(runner.reprioritize('missing', 5)).toBe(false);
+
+    const results = await runner.run();
+
+    expect(order).toEqual(['c', 'a', 'b']);
+    expect(results[2]?.metadata?.priority).toBe(5);
+    expect(runner.reprioritize('a', 1)).toBe(false);
+  });
+
+  test('should respect priorities in dependency graphs', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1, priorityQueue: true, dependencyGraph: true });
+    const order: string[] = [];
+    const task = (id: string) => async () => {
+      order.push(id);
+    };
+
+    runner.add(task('root'), { id: 'root' });
+    runner.add(task('minor'), { id: 'minor', dependencies: ['root'], priority: 1 });
+    runner.add(task('major'), { id: 'major', dependencies: ['root'], priority: 9 });
+    await runner.run();
+
+    expect(order).toEqual(['root', 'major', 'minor']);
+  });
+});
+
+describe('PriorityTaskQueue', () => {
+  test('should stay FIFO among equal priorities and reprioritize by id', () => {
+    const queue = new PriorityTaskQueue();
+    const noop = () => Promise.resolve();
+
+    queue.add(noop, 1, { id: 'first' });
+    queue.add(noop, 1, { id: 'second' });
+    queue.add(noop, 1, { id: 'third' });
+    queue.reprioritize('third', 2);
+
+    expect([queue.getNext(), queue.getNext(), queue.getNext()].map(t => t?.id))
+      .toEqual(['third', 'first', 'second']);
+  });
+
+  test('should handle large queues', () => {
+    const queue = new PriorityTaskQueue();
+    const noop = () => Promise.resolve();
+
+    for (let i = 0; i < 50000; i++) {
+      queue.add(noop, i % 100);
+    }
+
+    const priorities: number[] = [];
+    while (!queue.isEmpty()) {
+      priorities.push(queue.getNext()!.priority);
+    }
+
+    expect(priorities).toHaveLength(50000);
+    expect(priorities.every((priority, i) => i === 0 || priority <= priorities[i - 1]!)).toBe(true);
+  });
+});
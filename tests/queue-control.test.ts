@@ -0,0 +1,205 @@
+/**
+ * Queue Control Tests
+ *
+ * Tests pause/resume and stop (drain or abort) taking effect mid-run, and
+ * the status counts and statistics reported along the way
+ */
+
+import { AdvancedTaskRunner, AbortError, TaskExecutionSummary } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createRunner(count: number, ms: number) {
+  const runner = new AdvancedTaskRunner({ concurrency: 1 });
+  const started: number[] = [];
+
+  const results = Array.from({ length: count }, (_, i) =>
+    runner.add(async ({ signal }) => {
+      started.push(i);
+      await delay(ms);
+      if (signal.aborted) throw signal.reason;
+      return i;
+    })
+  );
+
+  return { runner, started, results };
+}
+
+describe('Queue Control', () => {
+  test('should stop starting tasks while paused and continue on resume', async () => {
+    const { runner, started } = createRunner(4, 20);
+
+    const running = runner.run();
+    await delay(30);
+    runner.pause();
+
+    await delay(60);
+    expect(started).toEqual([0, 1]);
+    expect(runner.status()).toMatchObject({ running: 0, pending: 2, completed: 2, paused: true });
+
+    runner.resume();
+    const results = await running;
+
+    expect(started).toEqual([0, 1, 2, 3]);
+    expect(results.map(r => r.result)).toEqual([0, 1, 2, 3]);
+  });
+
+  test('should report accurate status counts during a run', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 2 });
+    runner.add(() => delay(30));
+    runner.add(() => Promise.reject(new Error('boom')));
+    runner.add(() => delay(30));
+
+    const running = runner.run();
+    await delay(10);
+    expect(runner.status()).toMatchObject({ running: 2, pending: 0, completed: 0, failed: 1 });
+
+    await running;
+    expect(runner.status()).toMatchObject({ running: 0, pending: 0, completed: 2, failed: 1 });
+  });
+
+  test('should let in-flight tasks finish when draining', async () => {
+    const { runner, started, results } = createRunner(3, 40);
+
+    const running = runner.run();
+    await delay(10);
+    await runner.stop({ drain: true });
+
+    const [first, second, third] = await Promise.all(results);
+    expect(started).toEqual([0]);
+    expect(first?.success).toBe(true);
+    expect(second?.skipped).toBe(true);
+    expect(third?.error).toBeInstanceOf(AbortError);
+    expect(runner.status()).toMatchObject({ running: 0, pending: 0, completed: 1, skipped: 2, stopped: true });
+    expect((await running).map(r => [r.taskIndex, r.success, r.skipped])).toEqual([
+      [0, true, undefined],
+      [1, false, true],
+      [2, false, true]
+    ]);
+  });
+
+  test('should abort in-flight tasks by default', async () => {
+    const { runner, results } = createRunner(2, 1000);
+
+    const running = runner.run();
+    await delay(10);
+    await runner.stop();
+
+    const [first, second] = await Promise.all(results);
+    expect(first?.success).toBe(false);
+    expect(first?.skipped).toBeUndefined();
+    expect(first?.error).toBeInstanceOf(AbortError);
+    expect(second?.skipped).toBe(true);
+    await running;
+  });
+
+  test('should stop mid-run on error without batching', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1, stopOnError: true });
+    let calls = 0;
+
+    runner.add(async () => ++calls);
+    runner.add(async () => {
+      ++calls;
+      throw new Error('stop here');
+    });
+    runner.add(async () => ++calls);
+
+    let summary: TaskExecutionSummary | undefined;
+    runner.on('complete', complete => {
+      summary = complete;
+    });
+
+    const results = await runner.run();
+
+    expect(calls).toBe(2);
+    expect(results.map(r => r.taskIndex)).toEqual([0, 1, 2]);
+    expect(results[2]).toMatchObject({ skipped: true, attempts: 0 });
+    expect(runner.status()).toMatchObject({ stopped: true, skipped: 1 });
+    expect(summary).toMatchObject({ total: 3, success: 1, failed: 1, skipped: 1 });
+  });
+});
+
+describe('Queue Control with Keyed Concurrency', () => {
+  function createKeyedRunner() {
+    const runner = new AdvancedTaskRunner({
+      concurrency: 4,
+      concurrencyKey: metadata => metadata.userData?.host,
+      keyConcurrency: { a: 1 }
+    });
+    const started: number[] = [];
+    const results = Array.from({ length: 4 }, (_, i) =>
+      runner.add(async () => {
+        started.push(i);
+        await delay(20);
+        return i;
+      }, { id: `t${i}`, userData: { host: 'a' } })
+    );
+    return { runner, started, results };
+  }
+
+  test('should not start tasks waiting for their key while paused', async () => {
+    const { runner, started } = createKeyedRunner();
+
+    const running = runner.run();
+    await delay(5);
+    runner.pause();
+
+    await delay(60);
+    expect(started).toEqual([0]);
+    expect(runner.status()).toMatchObject({ running: 0, pending: 3, completed: 1 });
+
+    runner.resume();
+    const results = await running;
+
+    expect(started).toEqual([0, 1, 2, 3]);
+    expect(results.every(r => r.success)).toBe(true);
+  });
+
+  test('should skip tasks waiting for their key when draining', async () => {
+    const { runner, started, results } = createKeyedRunner();
+
+    const running = runner.run();
+    await delay(5);
+    await runner.stop({ drain: true });
+
+    const settled = await Promise.all(results);
+    expect(started).toEqual([0]);
+    expect(settled.map(r => r.success || r.skipped)).toEqual([true, true, true, true]);
+    expect(settled.slice(1).every(r => r.skipped && r.error?.message === 'Task queue was stopped')).toBe(true);
+    expect((await running).map(r => r.skipped ?? false)).toEqual([false, true, true, true]);
+    expect(runner.status()).toMatchObject({ running: 0, pending: 0, completed: 1, skipped: 3 });
+  });
+});
+
+describe('Queue Statistics', () => {
+  test('should report live statistics during and after a run', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 2 });
+    for (let i = 0; i < 8; i++) {
+      runner.add(async () => {
+        await delay(20);
+        if (i === 0) throw new Error('first one fails');
+        return i;
+      });
+    }
+
+    expect(runner.getStatistics()).toMatchObject({ total: 8, pending: 8, throughput: 0, eta: undefined });
+
+    const running = runner.run();
+    await delay(50);
+
+    const live = runner.getStatistics();
+    expect(live.running).toBe(2);
+    expect(live.pending).toBeGreaterThan(0);
+    expect(live.failed).toBe(1);
+    expect(live.throughput).toBeGreaterThan(0);
+    expect(live.eta).toBeGreaterThan(0);
+    expect(live.movingAverageLatency).toBeGreaterThanOrEqual(15);
+
+    await running;
+
+    const final = runner.getStatistics();
+    expect(final).toMatchObject({ running: 0, pending: 0, completed: 7, failed: 1, eta: 0 });
+    expect(final.successRate).toBeCloseTo(87.5, 1);
+    expect(final.throughput).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Queue Management Tests
+ *
+ * Tests listing, inspecting, cancelling and promoting queued tasks by id or
+ * tag, and how cancelled tasks are reported
+ */
+
+import { AdvancedTaskRunner, AbortError, TaskExecutionSummary } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Queue Management', () => {
+  test('should list and inspect tasks by state, tag and batch', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1 });
+    runner.add(async () => 'a', { id: 'a', tags: ['tenant'], batch: 'eu' });
+    runner.add(() => delay(50), { id: 'b', tags: ['tenant'] });
+    runner.add(async () => 'c', { id: 'c', batch: 'eu' });
+
+    expect(runner.list().map(task => task.id)).toEqual(['a', 'b', 'c']);
+    expect(runner.list({ tag: 'tenant' }).map(task => task.id)).toEqual(['a', 'b']);
+    expect(runner.list({ batch: 'eu' }).map(task => task.id)).toEqual(['a', 'c']);
+
+    const running = runner.run();
+    await delay(10);
+
+    expect(runner.get('a')).toMatchObject({ taskIndex: 0, state: 'completed', result: { result: 'a' } });
+    expect(runner.get('b')?.state).toBe('running');
+    expect(runner.list({ state: ['pending', 'running'] }).map(task => task.id)).toEqual(['b', 'c']);
+    expect(runner.list(task => task.priority === 0)).toHaveLength(3);
+    expect(runner.get('missing')).toBeUndefined();
+
+    await running;
+  });
+
+  test('should report cancelled tasks in results instead of dropping them', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1 });
+    const started: string[] = [];
+    const cancelledEvents: number[] = [];
+    let summary: TaskExecutionSummary | undefined;
+    runner.on('taskCancelled', taskIndex => cancelledEvents.push(taskIndex));
+    runner.on('complete', s => {
+      summary = s;
+    });
+
+    const add = (id: string, tags: string[] = []) => runner.add(async () => {
+      started.push(id);
+      await delay(20);
+    }, { id, tags });
+
+    add('first');
+    const second = add('second');
+    add('third', ['optional']);
+    add('fourth', ['optional']);
+
+    const running = runner.run();
+    await delay(5);
+
+    expect(runner.cancel('second')).toBe(true);
+    expect(runner.cancel('first')).toBe(false);
+    expect(runner.cancelByTag('optional')).toBe(2);
+
+    const results = await running;
+
+    expect(started).toEqual(['first']);
+    expect(results.map(r => r.taskIndex)).toEqual([0, 1, 2, 3]);
+    expect(results.slice(1).every(r => r.cancelled && !r.skipped)).toBe(true);
+    expect((await second).error).toBeInstanceOf(AbortError);
+    expect(cancelledEvents).toEqual([1, 2, 3]);
+    expect(summary).toMatchObject({ total: 4, success: 1, failed: 0, cancelled: 3 });
+    expect(runner.status()).toMatchObject({ pending: 0, completed: 1, cancelled: 3 });
+  });
+
+  test('should move promoted tasks to the front of the queue', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 1, priorityQueue: true });
+    const order: string[] = [];
+    const add = (id: string, priority: number) => runner.add(async () => {
+      order.push(id);
+    }, { id, priority });
+
+    add('urgent', 10);
+    add('normal', 5);
+    add('later', 1);
+    add('last', 0);
+
+    expect(runner.promote('last')).toBe(true);
+    expect(runner.promote('later')).toBe(true);
+    expect(runner.promote('missing')).toBe(false);
+
+    await runner.run();
+
+    expect(order).toEqual(['later', 'last', 'urgent', 'normal']);
+  });
+
+  test('should remove pending tasks matching a predicate', async () => {
+    const runner = new AdvancedTaskRunner();
+    const results = [1, 2, 3, 4].map(n => runner.add(async () => n, { priority: n }));
+
+    expect(runner.remove(task => task.priority % 2 === 0)).toBe(2);
+
+    const settled = await runner.run();
+    expect(settled.map(r => r.cancelled ?? false)).toEqual([false, true, false, true]);
+    expect((await results[1]!).cancelled).toBe(true);
+  });
+
+  test('should settle pending tasks as cancelled when cleared', async () => {
+    const runner = new AdvancedTaskRunner();
+    const result = runner.add(async () => 'never runs', { id: 'queued' });
+
+    runner.clear();
+
+    expect(await result).toMatchObject({ success: false, cancelled: true });
+    expect(runner.list()).toEqual([]);
+    expect(await runner.run()).toEqual([]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Rate Limiting Tests
+ *
+ * Tests token-bucket gating of task starts alongside the concurrency limit
+ */
+
+import { runTasksWithSummary, AdvancedTaskRunner, TokenBucket } from '../src/index.js';
+
+describe('Token Bucket Rate Limiting', () => {
+  test('should allow a burst and then refill at the configured rate', async () => {
+    const bucket = new TokenBucket({ tokens: 1, interval: 50, burst: 2 });
+
+    expect(await bucket.acquire()).toBe(0);
+    expect(await bucket.acquire()).toBe(0);
+
+    const waited = await bucket.acquire();
+    expect(waited).toBeGreaterThanOrEqual(30);
+  });
+
+  test('should gate task starts independently of concurrency', async () => {
+    const startTimes: number[] = [];
+    const tasks = Array.from({ length: 4 }, () => async () => {
+      startTimes.push(Date.now());
+      return 'ok';
+    });
+
+    const summary = await runTasksWithSummary(tasks, {
+      concurrency: 10,
+      rateLimit: { tokens: 1, interval: 50, burst: 2 }
+    });
+
+    expect(summary.success).toBe(4);
+    expect(startTimes[3]! - startTimes[0]!).toBeGreaterThanOrEqual(80);
+    expect(summary.results[0]?.rateLimitWait).toBe(0);
+    expect(summary.results[3]?.rateLimitWait).toBeGreaterThan(0);
+    expect(summary.rateLimitWait).toBeGreaterThan(0);
+  });
+
+  test('should apply rate limits in AdvancedTaskRunner', async () => {
+    const runner = new AdvancedTaskRunner({ concurrency: 5, rateLimit: { tokens: 2, interval: 100 } });
+    for (let i = 0; i < 3; i++) {
+      runner.add(() => Promise.resolve(i));
+    }
+
+    const results = await runner.run();
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(results.some(r => (r.rateLimitWait ?? 0) > 0)).toBe(true);
+  });
+
+  test('should reject invalid configuration', () => {
+    expect(() => new TokenBucket({ tokens: 0, interval: 1000 })).toThrow('rateLimit requires positive tokens and interval');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Resource Scheduling Tests
+ *
+ * Tests weighted tasks and named resource pools: tasks start only once they
+ * can acquire everything they need, heavy tasks are not starved and demands
+ * that can never be met fail up front
+ */
+
+import { runTasks, AdvancedTaskRunner, TaskContext } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createTracker() {
+  const inUse = new Map<string, number>();
+  const peak = new Map<string, number>();
+  const started: string[] = [];
+
+  const use = (name: string, amount: number) => {
+    inUse.set(name, (inUse.get(name) ?? 0) + amount);
+    peak.set(name, Math.max(peak.get(name) ?? 0, inUse.get(name)!));
+  };
+
+  const task = (ms: number) => async ({ metadata }: TaskContext) => {
+    const demand = { weight: metadata?.weight ?? 1, ...metadata?.resources };
+    started.push(metadata?.id ?? '');
+    Object.entries(demand).forEach(([name, amount]) => use(name, amount));
+    await delay(ms);
+    Object.entries(demand).forEach(([name, amount]) => use(name, -amount));
+    return metadata?.id;
+  };
+
+  return { task, peak, started };
+}
+
+describe('Resource Scheduling', () => {
+  test('should count task weight against concurrency', async () => {
+    const tracker = createTracker();
+    const weights = [1, 3, 1, 2, 4, 1, 1];
+
+    const results = await runTasks(
+      weights.map((weight, i) => ({ task: tracker.task(20), metadata: { id: `file-${i}`, weight } })),
+      { concurrency: 4 }
+    );
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(tracker.peak.get('weight')).toBe(4);
+  });
+
+  test('should hold every resource pool within its size', async () => {
+    const tracker = createTracker();
+    const demands = [{ db: 1, cpu: 2 }, { cpu: 3 }, { db: 2 }, { db: 1, cpu: 1 }, { db: 1 }, { cpu: 2 }];
+
+    const results = await runTasks(
+      demands.map((resources, i) => ({ task: tracker.task(15), metadata: { id: `job-${i}`, resources } })),
+      { concurrency: 10, resources: { db: 2, cpu: 3 } }
+    );
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(tracker.peak.get('db')).toBe(2);
+    expect(tracker.peak.get('cpu')).toBe(3);
+  });
+
+  test('should not deadlock on tasks that share several pools', async () => {
+    const tracker = createTracker();
+    const demands = Array.from({ length: 12 }, (_, i) => [{ db: 1, cpu: 1 }, { cpu: 1, db: 1 }, { db: 1 }, { cpu: 1 }][i % 4]!);
+
+    const results = await runTasks(
+      demands.map((resources, i) => ({ task: tracker.task(5), metadata: { id: `job-${i}`, resources } })),
+      { concurrency: 4, resources: { db: 1, cpu: 1 } }
+    );
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(tracker.peak.get('db')).toBe(1);
+    expect(tracker.peak.get('cpu')).toBe(1);
+  });
+
+  test('should not let lighter tasks starve a heavy one', async () => {
+    const tracker = createTracker();
+    const runner = new AdvancedTaskRunner({ concurrency: 3 });
+
+    runner.add(tracker.task(30), { id: 'small-1' });
+    runner.add(tracker.task(10), { id: 'video', weight: 3 });
+    runner.add(tracker.task(30), { id: 'small-2' });
+    runner.add(tracker.task(30), { id: 'small-3' });
+
+    await runner.run();
+
+    expect(tracker.started).toEqual(['small-1', 'video', 'small-2', 'small-3']);
+    expect(tracker.peak.get('weight')).toBe(3);
+  });
+
+  test('should fail tasks whose demand can never be met without running them', async () => {
+    const tracker = createTracker();
+
+    const results = await runTasks([
+      { task: tracker.task(5), metadata: { id: 'too-heavy', weight: 3 } },
+      { task: tracker.task(5), metadata: { id: 'unknown-pool', resources: { gpu: 1 } } },
+      { task: tracker.task(5), metadata: { id: 'too-big', resources: { db: 5 } } },
+      { task: tracker.task(5), metadata: { id: 'fits', resources: { db: 1 } } }
+    ], { concurrency: 2, resources: { db: 4 } });
+
+    expect(tracker.started).toEqual(['fits']);
+    expect(results.map(r => r.error?.message)).toEqual([
+      'Task weight 3 exceeds concurrency 2',
+      'Unknown resource "gpu"',
+      'Task needs 5 of resource "db", which has 4',
+      undefined
+    ]);
+    expect(results.slice(0, 3).every(r => r.attempts === 0)).toBe(true);
+  });
+
+  test('should reject empty resource pools', async () => {
+    await expect(runTasks([async () => 1], { resources: { db: 0 } }))
+      .rejects.toThrow('Resource pool "db" must be positive');
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Result Retention Tests
+ *
+ * Tests retainResults and the onResult sink, and that incrementally built
+ * summaries match summaries of every result
+ */
+
+import { runTasks, runTasksWithSummary, SummaryBuilder, TaskResult, TimeoutError } from '../src/index.js';
+import { generateExecutionSummary } from '../src/summary.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function mixedTasks() {
+  const calls = new Map<number, number>();
+  return Array.from({ length: 12 }, (_, i) => async () => {
+    calls.set(i, (calls.get(i) ?? 0) + 1);
+    await delay(2);
+    if (i % 4 === 1) throw new Error('upstream 503');
+    if (i % 4 === 2 && calls.get(i) === 1) throw new Error('connection reset');
+    return { id: i, payload: 'x'.repeat(1000) };
+  });
+}
+
+describe('Result Retention', () => {
+  test('should keep only failures, or nothing, but count everything', async () => {
+    const config = { concurrency: 3, retries: 1, retryDelay: 1 };
+    const all = await runTasksWithSummary(mixedTasks(), config);
+    const failures = await runTasksWithSummary(mixedTasks(), { ...config, retainResults: 'failures' });
+    const none = await runTasksWithSummary(mixedTasks(), { ...config, retainResults: 'none' });
+
+    expect(all.results).toHaveLength(12);
+    expect(failures.results.map(r => r.taskIndex)).toEqual([1, 5, 9]);
+    expect(none.results).toEqual([]);
+
+    for (const summary of [failures, none]) {
+      expect(summary).toMatchObject({
+        total: all.total,
+        success: all.success,
+        failed: all.failed,
+        retries: all.retries
+      });
+      expect(summary.errors.map(e => [e.message, e.count, e.taskIndexes]))
+        .toEqual(all.errors.map(e => [e.message, e.count, e.taskIndexes]));
+    }
+  });
+
+  test('should hand every result to onResult as it settles', async () => {
+    const seen: number[] = [];
+    const results = await runTasks(
+      [() => delay(30).then(() => 'slow'), () => delay(5).then(() => 'fast')],
+      { concurrency: 2, retainResults: 'none', onResult: result => seen.push(result.taskIndex) }
+    );
+
+    expect(results).toEqual([]);
+    expect(seen).toEqual([1, 0]);
+  });
+
+  test('should keep running when onResult throws', async () => {
+    const results = await runTasks([async () => 1, async () => 2], {
+      onResult: () => {
+        throw new Error('sink unavailable');
+      }
+    });
+
+    expect(results.map(r => r.result)).toEqual([1, 2]);
+  });
+
+  test('should build the same summary incrementally', () => {
+    const at = new Date('2026-01-01T00:00:00Z');
+    const results: TaskResult[] = [
+      { success: true, result: 'a', taskIndex: 0, attempts: 1, duration: 10 },
+      {
+        success: false,
+        error: new TimeoutError('Task timed out after 50ms', 50),
+        taskIndex: 1,
+        attempts: 2,
+        duration: 100,
+        timedOut: true,
+        retryHistory: [{ attempt: 1, error: new TimeoutError('Task timed out after 50ms', 50), delay: 5, timestamp: at, duration: 50, timedOut: true }]
+      },
+      { success: false, error: new Error('boom'), taskIndex: 2, attempts: 1, duration: 4, rateLimitWait: 3 },
+      { success: false, skipped: true, error: new Error('stopped'), taskIndex: 3, attempts: 0 }
+    ];
+    const startTime = new Date();
+    const endTime = new Date(startTime.getTime() + 500);
+
+    const builder = new SummaryBuilder('none');
+    results.forEach(result => builder.add(result));
+    const incremental = builder.build(startTime, endTime);
+    const { results: _results, errors, ...counts } = generateExecutionSummary(results, startTime, endTime);
+
+    expect(incremental.results).toEqual([]);
+    expect(incremental).toMatchObject(counts);
+    expect(incremental.errors.map(e => [e.type, e.message, e.count, e.taskIndexes]))
+      .toEqual(errors.map(e => [e.type, e.message, e.count, e.taskIndexes]));
+    expect(incremental.errors[0]).toMatchObject({ type: 'timeout', count: 2, taskIndexes: [1], firstOccurrence: at });
+  });
+});
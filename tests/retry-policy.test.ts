@@ -0,0 +1,155 @@
+/**
+ * Retry Policy Tests
+ *
+ * Tests retryOn predicates, non-retryable errors, jitter strategies and
+ * custom delay functions
+ */
+
+import { runTasks, NonRetryableError } from '../src/index.js';
+import { calculateRetryDelay } from '../src/retry.js';
+
+describe('Retry Policies', () => {
+  test('should fail immediately on NonRetryableError', async () => {
+    let calls = 0;
+
+    const results = await runTasks([
+      async () => {
+        calls++;
+        throw new NonRetryableError('400 Bad Request');
+      }
+    ], { retries: 3, retryDelay: 10 });
+
+    expect(calls).toBe(1);
+    expect(results[0]?.success).toBe(false);
+    expect(results[0]?.attempts).toBe(1);
+    expect(results[0]?.error?.message).toBe('400 Bad Request');
+  });
+
+  test('should consult shouldRetry with error, attempt and context', async () => {
+    const seen: Array<{ message: string; attempt: number; id?: string }> = [];
+    let calls = 0;
+
+    const results = await runTasks([
+      {
+        task: async () => {
+          calls++;
+          throw new Error(calls < 2 ? '503 Service Unavailable' : '404 Not Found');
+        },
+        metadata: { id: 'status-check' }
+      }
+    ], {
+      retries: 5,
+      retryDelay: 10,
+      retryPolicy: {
+        shouldRetry: (error, attempt, context) => {
+          seen.push({ message: error.message, attempt, ...(context.metadata?.id !== undefined && { id: context.metadata.id }) });
+          return error.message.startsWith('5');
+        }
+      }
+    });
+
+    expect(calls).toBe(2);
+    expect(results[0]?.attempts).toBe(2);
+    expect(results[0]?.retryHistory).toHaveLength(1);
+    expect(seen).toEqual([
+      { message: '503 Service Unavailable', attempt: 1, id: 'status-check' },
+      { message: '404 Not Found', attempt: 2, id: 'status-check' }
+    ]);
+  });
+
+  test('should use a custom delay function and record the delay', async () => {
+    let calls = 0;
+    const previousDelays: Array<number | undefined> = [];
+
+    const results = await runTasks([
+      async () => {
+        if (++calls < 3) throw new Error('flaky');
+        return 'ok';
+      }
+    ], {
+      retries: 3,
+      retryPolicy: {
+        delay: (attempt, _error, previousDelay) => {
+          previousDelays.push(previousDelay);
+          return attempt * 5;
+        }
+      }
+    });
+
+    expect(results[0]?.success).toBe(true);
+    expect(results[0]?.retryHistory?.map(r => r.delay)).toEqual([5, 10]);
+    expect(previousDelays).toEqual([undefined, 5]);
+  });
+
+  test('should keep jittered delays within their bounds', () => {
+    const config = { retryDelay: 100, maxRetryDelay: 1000, exponentialBackoff: true };
+    const error = new Error('boom');
+
+    for (let i = 0; i < 50; i++) {
+      const full = calculateRetryDelay(3, error, undefined, { ...config, retryPolicy: { jitter: 'full' } });
+      expect(full).toBeGreaterThanOrEqual(0);
+      expect(full).toBeLessThanOrEqual(400);
+
+      const equal = calculateRetryDelay(3, error, undefined, { ...config, retryPolicy: { jitter: 'equal' } });
+      expect(equal).toBeGreaterThanOrEqual(200);
+      expect(equal).toBeLessThanOrEqual(400);
+
+      const decorrelated = calculateRetryDelay(3, error, 500, { ...config, retryPolicy: { jitter: 'decorrelated' } });
+      expect(decorrelated).toBeGreaterThanOrEqual(100);
+      expect(decorrelated).toBeLessThanOrEqual(1000);
+    }
+
+    expect(calculateRetryDelay(3, error, undefined, config)).toBe(400);
+    expect(calculateRetryDelay(3, error, undefined, { retryDelay: 100 })).toBe(100);
+  });
+});
+
+describe('Requeued Retries', () => {
+  test('should free the slot while a failed task waits out its backoff', async () => {
+    const completed: string[] = [];
+    let flakyCalls = 0;
+
+    const tasks = [
+      async () => {
+        if (++flakyCalls < 2) throw new Error('flaky');
+        completed.push('flaky');
+        return 'flaky';
+      },
+      ...['a', 'b', 'c'].map(name => async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        completed.push(name);
+        return name;
+      })
+    ];
+
+    const results = await runTasks(tasks, {
+      concurrency: 1,
+      retries: 1,
+      retryDelay: 200,
+      requeueRetries: true
+    });
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(completed).toEqual(['a', 'b', 'c', 'flaky']);
+    expect(results[0]?.attempts).toBe(2);
+    expect(results[0]?.retryHistory).toHaveLength(1);
+    expect(results[0]?.retryHistory?.[0]).toMatchObject({ attempt: 1, delay: 200, timedOut: false });
+  });
+
+  test('should hold the slot during backoff by default', async () => {
+    const completed: string[] = [];
+    let flakyCalls = 0;
+
+    await runTasks([
+      async () => {
+        if (++flakyCalls < 2) throw new Error('flaky');
+        completed.push('flaky');
+      },
+      async () => {
+        completed.push('healthy');
+      }
+    ], { concurrency: 1, retries: 1, retryDelay: 50 });
+
+    expect(completed).toEqual(['flaky', 'healthy']);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Result Streaming Tests
+ *
+ * Tests yielding results as they settle, input-order streaming with a
+ * bounded buffer, and cancelling the run when the consumer stops early
+ */
+
+import { streamTasks, AbortError, TaskContext, TaskResult } from '../src/index.js';
+import { TaskRunner } from '../src/task-runner.js';
+import { createSilentLogger } from '../src/logger.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+const after = (ms: number, value: string) => () => delay(ms).then(() => value);
+
+async function collect<T>(results: AsyncIterable<TaskResult<T>>): Promise<TaskResult<T>[]> {
+  const collected: TaskResult<T>[] = [];
+  for await (const result of results) {
+    collected.push(result);
+  }
+  return collected;
+}
+
+describe('Result Streaming', () => {
+  test('should yield results in completion order', async () => {
+    const results = await collect(streamTasks([after(60, 'slow'), after(10, 'fast'), after(30, 'medium')], { concurrency: 3 }));
+
+    expect(results.map(r => r.result)).toEqual(['fast', 'medium', 'slow']);
+    expect(results.map(r => r.taskIndex)).toEqual([1, 2, 0]);
+  });
+
+  test('should yield each result before the run finishes', async () => {
+    const seen: number[] = [];
+    const startTime = performance.now();
+
+    for await (const result of streamTasks([after(10, 'a'), after(150, 'b')], { concurrency: 2 })) {
+      seen.push(performance.now() - startTime);
+      expect(result.success).toBe(true);
+    }
+
+    expect(seen[0]).toBeLessThan(100);
+    expect(seen[1]).toBeGreaterThanOrEqual(140);
+  });
+
+  test('should preserve input order when asked', async () => {
+    const results = await collect(streamTasks(
+      [after(50, 'a'), after(5, 'b'), after(20, 'c'), after(5, 'd')],
+      { concurrency: 4 },
+      { ordered: true }
+    ));
+
+    expect(results.map(r => r.result)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('should stop starting tasks while the reorder buffer is full', async () => {
+    const started: number[] = [];
+    const tasks = Array.from({ length: 10 }, (_, i) => async () => {
+      started.push(i);
+      await delay(i === 0 ? 80 : 5);
+      return i;
+    });
+
+    const iterator = streamTasks(tasks, { concurrency: 2 }, { ordered: true, bufferSize: 3 })[Symbol.asyncIterator]();
+    const first = iterator.next();
+    await delay(50);
+
+    // Task 0 is still running and tasks 1-3 are held behind it
+    expect(started).toEqual([0, 1, 2, 3]);
+
+    expect((await first).value?.result).toBe(0);
+    const rest: number[] = [];
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      rest.push(next.value.result as number);
+    }
+    expect(rest).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('should cancel the run when the consumer breaks out early', async () => {
+    const started: number[] = [];
+    let abortReason: unknown;
+    const tasks = Array.from({ length: 10 }, (_, i) => async ({ signal }: TaskContext) => {
+      started.push(i);
+      if (i === 0) return i;
+      return new Promise<number>((_resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          abortReason = signal.reason;
+          reject(signal.reason);
+        });
+      });
+    });
+
+    for await (const result of streamTasks(tasks, { concurrency: 2 })) {
+      expect(result.taskIndex).toBe(0);
+      break;
+    }
+
+    expect(started.length).toBeLessThanOrEqual(3);
+    expect(abortReason).toBeInstanceOf(AbortError);
+    expect((abortReason as Error).message).toBe('Result stream was closed');
+  });
+
+  test('should yield skipped results when the run is aborted', async () => {
+    const runner = new TaskRunner({ concurrency: 1 }, createSilentLogger());
+    const controller = new AbortController();
+    const tasks = Array.from({ length: 4 }, (_, i) => async () => {
+      if (i === 1) controller.abort();
+      await delay(5);
+      return i;
+    });
+
+    const results = await collect(runner.stream(tasks, { signal: controller.signal, ordered: true, bufferSize: 1 }));
+
+    expect(results.map(r => r.taskIndex)).toEqual([0, 1, 2, 3]);
+    expect(results[0]?.success).toBe(true);
+    expect(results.slice(2).every(r => r.skipped && r.attempts === 0)).toBe(true);
+  });
+
+  test('should reject an invalid bufferSize', async () => {
+    await expect(collect(streamTasks([after(1, 'a')], {}, { bufferSize: 0 })))
+      .rejects.toThrow('bufferSize must be at least 1');
+  });
+});
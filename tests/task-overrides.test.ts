@@ -0,0 +1,103 @@
+/**
+ * Per-Task Override Tests
+ *
+ * Tests timeout and retry settings set in a task's metadata, merged with the
+ * runner's defaults for that task only and recorded on its result
+ */
+
+import { runTasks, runPriorityTasks, NonRetryableError, TaskContext } from '../src/index.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+function failing(times: number) {
+  let calls = 0;
+  return async () => {
+    if (++calls <= times) throw new Error(`failure ${calls}`);
+    return `succeeded on call ${calls}`;
+  };
+}
+
+describe('Per-Task Overrides', () => {
+  test('should apply timeout and retries to the task that sets them', async () => {
+    const results = await runTasks([
+      { task: () => delay(60).then(() => 'report'), metadata: { id: 'export', timeout: 200 } },
+      { task: () => delay(60).then(() => 'health') },
+      { task: failing(3), metadata: { id: 'flaky', retries: 3, retryDelay: 1 } },
+      { task: failing(3) }
+    ], { timeout: 40, retries: 1, retryDelay: 1 });
+
+    expect(results[0]).toMatchObject({ success: true, result: 'report' });
+    expect(results[1]).toMatchObject({ success: false, timedOut: true });
+    expect(results[2]).toMatchObject({ success: true, attempts: 4 });
+    expect(results[3]).toMatchObject({ success: false, attempts: 2 });
+  });
+
+  test('should record the settings each task ran with', async () => {
+    const results = await runTasks([
+      { task: async () => 1, metadata: { retries: 2, exponentialBackoff: true } },
+      async () => 2
+    ], { retries: 1, retryDelay: 250, timeout: 1000 });
+
+    expect(results[0]?.settings).toEqual({
+      timeout: 1000,
+      retries: 2,
+      retryDelay: 250,
+      exponentialBackoff: true,
+      maxRetryDelay: 30000,
+      overridden: ['retries', 'exponentialBackoff']
+    });
+    expect(results[1]?.settings).toMatchObject({ retries: 1, exponentialBackoff: false, overridden: [] });
+  });
+
+  test('should let a task timeout beat the runner attemptTimeout', async () => {
+    const results = await runTasks([
+      { task: () => delay(60).then(() => 'export'), metadata: { timeout: 200 } },
+      { task: () => delay(60).then(() => 'late'), metadata: { timeout: 200, attemptTimeout: 20 } }
+    ], { attemptTimeout: 40 });
+
+    expect(results[0]).toMatchObject({ success: true, result: 'export' });
+    expect(results[0]?.settings).toMatchObject({ timeout: 200, overridden: ['timeout'] });
+    expect(results[1]).toMatchObject({ success: false, timedOut: true });
+    expect(results[1]?.settings).toMatchObject({ timeout: 20, overridden: ['attemptTimeout'] });
+  });
+
+  test('should use the task retry policy and backoff', async () => {
+    const attempts: number[] = [];
+    const task = async ({ attempt }: TaskContext) => {
+      attempts.push(attempt);
+      throw attempt === 2 ? new Error('404 Not Found') : new Error('503 Service Unavailable');
+    };
+
+    const [result] = await runTasks([{
+      task,
+      metadata: {
+        retries: 5,
+        retryPolicy: {
+          shouldRetry: error => !error.message.startsWith('4'),
+          delay: () => 1
+        }
+      }
+    }], { retries: 0 });
+
+    expect(attempts).toEqual([1, 2]);
+    expect(result?.retryHistory?.map(retry => retry.delay)).toEqual([1]);
+    expect(result?.settings?.overridden).toEqual(['retries', 'retryPolicy']);
+  });
+
+  test('should take overrides from priority tasks', async () => {
+    const results = await runPriorityTasks([
+      { task: failing(2), priority: 1, retries: 2, retryDelay: 1 },
+      {
+        task: async () => {
+          throw new NonRetryableError('bad request');
+        },
+        priority: 2,
+        retries: 4
+      }
+    ]);
+
+    expect(results[0]).toMatchObject({ success: true, attempts: 3 });
+    expect(results[1]).toMatchObject({ success: false, attempts: 1 });
+    expect(results[1]?.settings?.retries).toBe(4);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Timeout Budget Tests
+ *
+ * Tests per-attempt and total-across-retries timeouts, and soft timeouts
+ * that warn without failing the task
+ */
+
+import {
+  runTasks,
+  runTasksWithSummary,
+  AdvancedTaskRunner,
+  TimeoutError,
+  TaskContext,
+  Logger,
+  formatSummary
+} from '../src/index.js';
+import { TaskRunner } from '../src/task-runner.js';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+const sleepy = (ms: number) => ({ signal }: TaskContext) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(ms), ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+
+describe('Timeout Budgets', () => {
+  test('should prefer attemptTimeout over timeout', async () => {
+    const [result] = await runTasks([sleepy(80)], { timeout: 20, attemptTimeout: 200 });
+
+    expect(result).toMatchObject({ success: true, result: 80 });
+    expect(result?.settings?.timeout).toBe(200);
+  });
+
+  test('should treat a timeout of 0 as no timeout', async () => {
+    const results = await runTasks([sleepy(20), { task: sleepy(20), metadata: { attemptTimeout: 0 } }], { timeout: 0 });
+
+    expect(results.map(r => r.result)).toEqual([20, 20]);
+    expect(results.every(r => r.success && r.attempts === 1)).toBe(true);
+
+    const [budgeted] = await runTasks([sleepy(200)], { timeout: 0, totalTimeout: 30 });
+    expect(budgeted).toMatchObject({ success: false, timedOut: true });
+  });
+
+  test('should cap a task across all of its retries with totalTimeout', async () => {
+    const startTime = performance.now();
+    const [result] = await runTasks([sleepy(1000)], {
+      attemptTimeout: 40,
+      totalTimeout: 100,
+      retries: 10,
+      retryDelay: 5
+    });
+    const elapsed = performance.now() - startTime;
+
+    expect(result).toMatchObject({ success: false, timedOut: true });
+    expect(result?.attempts).toBeGreaterThanOrEqual(2);
+    expect(result?.attempts).toBeLessThan(5);
+    expect(result?.error).toBeInstanceOf(TimeoutError);
+    expect(result?.error?.message).toMatch(/^Task exceeded its total timeout of 100ms after \d attempts$/);
+    expect(elapsed).toBeLessThan(300);
+  });
+
+  test('should not wait out a retry delay that would run past totalTimeout', async () => {
+    let calls = 0;
+    const [result] = await runTasks([async () => {
+      calls++;
+      throw new Error('connection reset');
+    }], { totalTimeout: 50, retries: 3, retryDelay: 200 });
+
+    expect(calls).toBe(1);
+    expect(result?.error?.message).toBe('connection reset');
+    expect(result?.timedOut).toBe(false);
+  });
+
+  test('should warn on soft timeouts without failing the task', async () => {
+    const warnings: string[] = [];
+    const logger: Logger = { info: () => {}, warn: message => warnings.push(message), error: () => {} };
+    const softTimeouts: Array<[number, number]> = [];
+    const runner = new TaskRunner({
+      concurrency: 2,
+      softTimeout: 30,
+      hooks: { onSoftTimeout: (taskIndex, attempt) => softTimeouts.push([taskIndex, attempt]) }
+    }, logger);
+
+    const summary = await runner.runWithSummary([sleepy(60), sleepy(5), sleepy(60)]);
+
+    expect(summary).toMatchObject({ success: 3, timedOut: 0, softTimeouts: 2 });
+    expect(summary.results.map(r => r.softTimeouts)).toEqual([1, undefined, 1]);
+    expect(softTimeouts).toEqual([[0, 1], [2, 1]]);
+    expect(warnings.filter(w => w.includes('soft timeout 30ms'))).toHaveLength(2);
+    expect(formatSummary(summary)).toContain('Soft timeouts: 2');
+  });
+
+  test('should take timeout budgets from task metadata', async () => {
+    const runner = new AdvancedTaskRunner({ softTimeout: 1000 });
+    const warned: number[] = [];
+    runner.on('taskSoftTimeout', taskIndex => warned.push(taskIndex));
+
+    runner.add(sleepy(40), { softTimeout: 10 });
+    runner.add(sleepy(40), { totalTimeout: 20, retries: 2 });
+    const results = await runner.run();
+
+    expect(warned).toEqual([0]);
+    expect(results[0]).toMatchObject({ success: true, softTimeouts: 1 });
+    expect(results[1]).toMatchObject({ success: false, timedOut: true, attempts: 1 });
+    expect(results[1]?.settings?.overridden).toEqual(['totalTimeout', 'retries']);
+  });
+
+  test('should count soft timeouts separately in summaries', async () => {
+    const summary = await runTasksWithSummary([
+      () => delay(30),
+      { task: sleepy(100), metadata: { attemptTimeout: 20 } }
+    ], { softTimeout: 10 });
+
+    expect(summary.timedOut).toBe(1);
+    expect(summary.softTimeouts).toBe(2);
+  });
+});
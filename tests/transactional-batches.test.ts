@@ -0,0 +1,154 @@
+/**
+ * Transactional Batch Tests
+ *
+ * Tests all-or-nothing batches: rollback hooks, batch-level retries and the
+ * batch attempt recorded on each result
+ */
+
+import { AdvancedTaskRunner, TaskResult } from '../src/index.js';
+
+function flakyWrite(failures: number) {
+  let calls = 0;
+  return async () => {
+    if (++calls <= failures) throw new Error('deadlock detected');
+    return `written on call ${calls}`;
+  };
+}
+
+describe('Transactional Batches', () => {
+  test('should roll back and rerun a batch until it commits', async () => {
+    const rollbacks: TaskResult[][] = [];
+    const runner = new AdvancedTaskRunner({
+      batchSize: 2,
+      transactional: true,
+      batchRetries: 2,
+      rollback: results => {
+        rollbacks.push(results);
+      }
+    });
+
+    const first = runner.add(async () => 'row 1');
+    runner.add(flakyWrite(1));
+    runner.add(async () => 'row 3');
+
+    const results = await runner.run();
+
+    expect(rollbacks).toHaveLength(1);
+    expect(rollbacks[0]?.map(r => r.success)).toEqual([true, false]);
+    expect(results.every(r => r.success)).toBe(true);
+    expect(results.map(r => r.batchAttempt)).toEqual([2, 2, 1]);
+    expect(results[1]?.result).toBe('written on call 2');
+    expect((await first).batchAttempt).toBe(2);
+    expect(runner.getBatchSummaries().get(1)).toMatchObject({ success: 2, failed: 0 });
+  });
+
+  test('should give up after batchRetries and roll back every attempt', async () => {
+    const rollback = jest.fn();
+    const runner = new AdvancedTaskRunner({ batchSize: 5, transactional: true, batchRetries: 1, rollback });
+
+    runner.add(async () => 'ok');
+    runner.add(flakyWrite(5));
+
+    const results = await runner.run();
+
+    expect(rollback).toHaveBeenCalledTimes(2);
+    expect(results[0]).toMatchObject({ success: true, batchAttempt: 2 });
+    expect(results[1]).toMatchObject({ success: false, batchAttempt: 2 });
+  });
+
+  test('should stop retrying when the rollback itself fails', async () => {
+    const rollbackErrors: Array<Error | undefined> = [];
+    const runner = new AdvancedTaskRunner({
+      batchSize: 2,
+      transactional: true,
+      batchRetries: 3,
+      rollback: () => {
+        throw new Error('connection lost');
+      }
+    });
+    runner.on('batchRollback', (_batchNumber, _batchAttempt, _results, _batchId, error) => {
+      rollbackErrors.push(error);
+    });
+
+    runner.add(flakyWrite(1));
+    const results = await runner.run();
+
+    expect(results[0]).toMatchObject({ success: false, batchAttempt: 1 });
+    expect(rollbackErrors.map(e => e?.message)).toEqual(['connection lost']);
+  });
+
+  test('should apply transactional policies to parallel batch groups', async () => {
+    const rolledBack: string[] = [];
+    const runner = new AdvancedTaskRunner({
+      parallelBatches: true,
+      batchPolicies: {
+        orders: {
+          transactional: true,
+          batchRetries: 1,
+          rollback: results => {
+            rolledBack.push(...results.map(r => r.metadata?.id ?? ''));
+          }
+        }
+      }
+    });
+
+    runner.add(async () => 'order', { id: 'order-1', batch: 'orders' });
+    runner.add(flakyWrite(1), { id: 'order-2', batch: 'orders' });
+    runner.add(flakyWrite(1), { id: 'audit-1', batch: 'audit' });
+
+    const results = await runner.run();
+
+    expect(rolledBack).toEqual(['order-1', 'order-2']);
+    expect(results[0]).toMatchObject({ success: true, batchAttempt: 2 });
+    expect(results[1]).toMatchObject({ success: true, batchAttempt: 2 });
+    expect(results[2]?.success).toBe(false);
+    expect(results[2]?.batchAttempt).toBeUndefined();
+  });
+
+  test('should leave a cancelled task out of its batch without rolling back', async () => {
+    const started: string[] = [];
+    let rollbacks = 0;
+    const runner = new AdvancedTaskRunner({
+      batchSize: 3,
+      concurrency: 1,
+      transactional: true,
+      rollback: () => {
+        rollbacks++;
+      }
+    });
+    ['first', 'second', 'third'].forEach(id => {
+      runner.add(async () => {
+        started.push(id);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return id;
+      }, { id });
+    });
+
+    const running = runner.run();
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(runner.get('third')?.state).toBe('pending');
+    expect(runner.promote('third')).toBe(false);
+    expect(runner.cancel('third')).toBe(true);
+
+    const results = await running;
+
+    expect(started).toEqual(['first', 'second']);
+    expect(results.map(r => r.cancelled ?? false)).toEqual([false, false, true]);
+    expect(rollbacks).toBe(0);
+    expect(runner.status()).toMatchObject({ completed: 2, cancelled: 1 });
+  });
+
+  test('should run a batch by id transactionally', async () => {
+    const rollback = jest.fn();
+    const runner = new AdvancedTaskRunner({
+      batchPolicies: { nightly: { transactional: true, batchRetries: 1, rollback } }
+    });
+
+    runner.add(flakyWrite(1), { batch: 'nightly' });
+    const results = await runner.runBatchById('nightly');
+
+    expect(rollback).toHaveBeenCalledTimes(1);
+    expect(results[0]).toMatchObject({ success: true, batchAttempt: 2 });
+  });
+});